@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+import ActiveTransferClient from './client.js';
+import { loadConfig, environmentConfig } from './lib/config.js';
+import { createConsoleLogger } from './lib/logger.js';
+import { createProgressPrinter, createBatchProgressPrinter } from './lib/console-progress.js';
+import { formatListing, formatBytes, describeChecksum } from './lib/format.js';
+import { createCredentialProvider, saveFileCredentials } from './lib/credentials.js';
+import { Command } from 'commander';
+import inquirer from 'inquirer';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Exit codes
+ * Scripts and cron jobs can branch on these instead of parsing output.
+ */
+const EXIT = {
+  OK: 0,
+  FAILED: 1, // operation failed for another reason
+  USAGE: 2, // bad arguments
+  CONFIG: 3, // config.json missing/invalid or unknown environment
+  NOT_FOUND: 4, // remote or local path does not exist
+  AUTH: 5, // authentication or permission failure
+  NETWORK: 6, // server unreachable or timed out
+  INTEGRITY: 7, // checksum mismatch
+  CANCELLED: 130 // interrupted with Ctrl+C, like a shell
+};
+
+/**
+ * Map a failed result to an exit code
+ */
+function exitCodeFor(result) {
+  switch (result.errorType) {
+    case 'NOT_FOUND':
+      return EXIT.NOT_FOUND;
+    case 'AUTH':
+    case 'PERMISSION':
+      return EXIT.AUTH;
+    case 'NETWORK':
+    case 'TIMEOUT':
+      return EXIT.NETWORK;
+    case 'INTEGRITY':
+      return EXIT.INTEGRITY;
+    case 'CANCELLED':
+      return EXIT.CANCELLED;
+    case 'REQUEST':
+      return result.status ? EXIT.FAILED : EXIT.USAGE;
+    default:
+      return EXIT.FAILED;
+  }
+}
+
+/**
+ * Default config location: $MFT_CONFIG, ./config.json, then the one next to this script
+ */
+function defaultConfigPath() {
+  if (process.env.MFT_CONFIG) return process.env.MFT_CONFIG;
+  const cwdConfig = path.join(process.cwd(), 'config.json');
+  return fs.existsSync(cwdConfig) ? cwdConfig : path.join(__dirname, 'config.json');
+}
+
+/**
+ * Create a client for the environment picked with --env
+ */
+function createClient(options) {
+  let fullConfig;
+  let config;
+
+  try {
+    fullConfig = loadConfig(options.config);
+    config = environmentConfig(fullConfig, options.env || fullConfig.defaultEnvironment);
+  } catch (error) {
+    fail(options, `Config error: ${error.message}`, EXIT.CONFIG);
+  }
+
+  // Diagnostics go to stderr so stdout only carries results
+  const level = options.verbose ? 'debug' : options.quiet ? 'silent' : 'warn';
+
+  let credentials;
+  try {
+    // Only a person at a terminal can answer auth.source "prompt"
+    credentials = createCredentialProvider(config, { prompt: process.stdin.isTTY ? promptPassword : undefined });
+  } catch (error) {
+    fail(options, `Config error: ${error.message}`, EXIT.CONFIG);
+  }
+
+  return new ActiveTransferClient(config, {
+    logger: createConsoleLogger({ level: level, stream: process.stderr }),
+    maxBytesPerSecond: options.limitRate,
+    credentials: credentials,
+    journal: config.journal ?? true
+  });
+}
+
+/**
+ * Ask for a password on the terminal; the prompt goes to stderr like other diagnostics
+ */
+async function promptPassword({ environment, username }) {
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const { password } = await prompt([{
+    type: 'password',
+    name: 'password',
+    message: `Password for ${username || 'user'} (${environment}):`,
+    mask: '*'
+  }]);
+  return password;
+}
+
+/**
+ * Read all of stdin, e.g. a password piped in by a script
+ */
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Parse a bandwidth like "500K" or "2M" (bytes per second, 1024-based)
+ */
+function parseRate(value) {
+  const match = /^(\d+(?:\.\d+)?)([KMG]?)$/i.exec(value.trim());
+  if (!match) {
+    console.error(`❌ Invalid rate "${value}", expected e.g. 500K or 2M`);
+    process.exit(EXIT.USAGE);
+  }
+  const factor = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 }[match[2].toUpperCase()];
+  return Math.round(Number(match[1]) * factor);
+}
+
+/**
+ * encrypt option for --encrypt-key / --pgp-key
+ */
+function encryptOption(options) {
+  if (options.encryptKey) return { keyFile: options.encryptKey };
+  if (options.pgpKey) return { publicKeyFile: options.pgpKey };
+  return undefined;
+}
+
+/**
+ * decrypt option for --decrypt-key / --pgp-key; the passphrase stays out of the process list
+ */
+function decryptOption(options) {
+  if (options.decryptKey) return { keyFile: options.decryptKey };
+  if (options.pgpKey) return { privateKeyFile: options.pgpKey, passphrase: process.env.MFT_PGP_PASSPHRASE };
+  return undefined;
+}
+
+/**
+ * Progress bar on stderr, only when a person is watching
+ */
+function progressFor(options, label, createPrinter = createProgressPrinter) {
+  if (options.json || options.quiet || !process.stderr.isTTY) {
+    return { onProgress: undefined, done: () => {} };
+  }
+  return createPrinter(label, process.stderr);
+}
+
+/**
+ * AbortSignal for the first Ctrl+C, so a transfer can keep its .part or state
+ * file; a second Ctrl+C exits straight away
+ */
+function interruptSignal() {
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  return controller.signal;
+}
+
+/**
+ * Print a result and exit with the matching code
+ * @param {Object} options - Global CLI options
+ * @param {Object} result - Client result
+ * @param {Function} printHuman - Prints a successful result for people
+ */
+function finish(options, result, printHuman) {
+  const { stream, ...printable } = result;
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(printable, null, 2) + '\n');
+  } else if (result.success) {
+    printHuman(result);
+  } else if (result.cancelled) {
+    // The logger reports cancellations at info level, below the CLI's default
+    console.error('🛑', result.message);
+  } else if (options.quiet) {
+    // Otherwise the client's logger has already reported the failure
+    console.error('❌', result.message);
+  }
+
+  process.exit(result.success ? EXIT.OK : exitCodeFor(result));
+}
+
+function fail(options, message, code) {
+  if (options.json) {
+    process.stdout.write(JSON.stringify({ success: false, message: message }, null, 2) + '\n');
+  } else {
+    console.error('❌', message);
+  }
+  process.exit(code);
+}
+
+/**
+ * Wrap a subcommand action: resolve global options and create the client
+ */
+function action(handler) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const options = command.optsWithGlobals();
+    const client = createClient(options);
+    await handler(client, options, ...args.slice(0, -2));
+  };
+}
+
+const program = new Command();
+
+program
+  .name('mft')
+  .description('Command line client for webMethods Active Transfer (MFT)')
+  .option('-e, --env <name>', 'environment from config.json (default: defaultEnvironment)')
+  .option('-c, --config <path>', 'config file', defaultConfigPath())
+  .option('--json', 'print results as JSON')
+  .option('-v, --verbose', 'log requests and responses to stderr')
+  .option('-q, --quiet', 'no diagnostics or progress, only results')
+  .option('--limit-rate <rate>', 'bandwidth for all transfers in bytes/s, e.g. 500K or 2M', parseRate)
+  .exitOverride((error) => {
+    process.exit(error.exitCode === 0 ? EXIT.OK : EXIT.USAGE);
+  });
+
+program
+  .command('upload')
+  .description('upload a file, or a folder recursively')
+  .argument('<local>', 'local file or folder, or a quoted glob pattern with --archive')
+  .argument('[remote]', 'remote destination folder', '/')
+  .option('--compress [format]', 'compress each file before uploading: zip (default), tar.gz or gzip')
+  .option('--level <n>', 'compression level, 0 (store) to 9 (smallest)', Number)
+  .option('--archive [format]', 'send a folder or glob as one archive: zip (default), tar.gz or gzip')
+  .option('--archive-name <name>', 'archive name without extension (--archive only)')
+  .option('--encrypt-key <file>', 'encrypt with AES-256-GCM using this 32-byte key file (adds .enc)')
+  .option('--pgp-key <file>', 'encrypt to this OpenPGP public key (adds .pgp)')
+  .option('--chunked', 'upload in resumable parts (SaaS only)')
+  .option('--chunk-size <bytes>', 'part size for --chunked', Number)
+  .option('--include <patterns...>', 'glob patterns to include (folders and --archive only)')
+  .option('--exclude <patterns...>', 'glob patterns to exclude (folders and --archive only)')
+  .option('--concurrency <n>', 'files transferred in parallel (folders only)', Number)
+  .option('--checksum [algorithm]', 'upload a sha256 (or md5) checksum file when the server reports none')
+  .action(action(async (client, options, local, remote) => {
+    if (options.archive) {
+      const progress = progressFor(options, '📤 Upload progress');
+      const result = await client.uploadArchive(local, remote, {
+        format: options.archive === true ? 'zip' : options.archive,
+        compressionLevel: options.level,
+        archiveName: options.archiveName,
+        encrypt: encryptOption(options),
+        checksum: options.checksum,
+        include: options.include,
+        exclude: options.exclude,
+        onProgress: progress.onProgress,
+        signal: interruptSignal()
+      });
+      progress.done();
+      finish(options, result, (res) => {
+        console.log('✅', res.message);
+        console.log('📦', res.remotePath);
+      });
+      return;
+    }
+
+    if (!fs.existsSync(local)) {
+      fail(options, `Local path does not exist: ${local}`, EXIT.NOT_FOUND);
+    }
+
+    if (fs.statSync(local).isDirectory()) {
+      const progress = progressFor(options, '📤 Uploading', createBatchProgressPrinter);
+      const result = await client.uploadDirectory(local, remote, {
+        compress: options.compress,
+        compressionLevel: options.level,
+        encrypt: encryptOption(options),
+        checksum: options.checksum,
+        include: options.include,
+        exclude: options.exclude,
+        concurrency: options.concurrency,
+        onProgress: progress.onProgress,
+        signal: interruptSignal()
+      });
+      progress.done();
+      finish(options, result, (res) => console.log('✅', res.message));
+    } else {
+      const progress = progressFor(options, '📤 Upload progress');
+      const result = await client.uploadFile(local, remote, {
+        compress: options.compress,
+        compressionLevel: options.level,
+        encrypt: encryptOption(options),
+        chunked: options.chunked,
+        checksum: options.checksum,
+        chunkSize: options.chunkSize,
+        onProgress: progress.onProgress,
+        signal: interruptSignal()
+      });
+      progress.done();
+      if (!result.success && result.stateFile && !options.json) {
+        console.error(`⏯️  Resume with: mft resume ${result.stateFile}`);
+      }
+      finish(options, result, (res) => {
+        console.log('✅', res.message);
+        if (res.fileName !== path.basename(local)) console.log('📦 Uploaded as', res.fileName);
+        console.log('🔐', describeChecksum(res.checksum));
+      });
+    }
+  }));
+
+program
+  .command('resume')
+  .description('resume an interrupted chunked upload')
+  .argument('<stateFile>', 'state file written by "upload --chunked"')
+  .action(action(async (client, options, stateFile) => {
+    const progress = progressFor(options, '📤 Upload progress');
+    const result = await client.resumeUpload(stateFile, {
+      onProgress: progress.onProgress,
+      signal: interruptSignal()
+    });
+    progress.done();
+    finish(options, result, (res) => console.log('✅', res.message));
+  }));
+
+program
+  .command('download')
+  .description('download a file, or a folder with --recursive')
+  .argument('<remote>', 'remote file or folder')
+  .argument('[local]', 'local destination (default: remote file name in the current folder)')
+  .option('-r, --recursive', 'download a whole folder')
+  .option('--include <patterns...>', 'glob patterns to include (--recursive only)')
+  .option('--exclude <patterns...>', 'glob patterns to exclude (--recursive only)')
+  .option('--concurrency <n>', 'files transferred in parallel (--recursive only)', Number)
+  .option('--checksum [algorithm]', 'check against a sha256 (or md5) checksum file when the server sends none')
+  .option('--decompress [format]', 'extract after downloading: format from the file name, or zip, tar.gz or gzip')
+  .option('--extract-to <path>', 'folder to extract into, or file to gunzip to (--decompress only)')
+  .option('--keep-archive', 'keep the downloaded archive after extracting')
+  .option('--decrypt-key <file>', 'decrypt with this AES-256-GCM key file')
+  .option('--pgp-key <file>', 'decrypt with this OpenPGP private key (passphrase from $MFT_PGP_PASSPHRASE)')
+  .action(action(async (client, options, remote, local) => {
+    const destination = local || path.basename(remote);
+
+    if (options.recursive) {
+      const progress = progressFor(options, '📥 Downloading', createBatchProgressPrinter);
+      const result = await client.downloadDirectory(remote, destination, {
+        checksum: options.checksum,
+        include: options.include,
+        exclude: options.exclude,
+        concurrency: options.concurrency,
+        onProgress: progress.onProgress,
+        signal: interruptSignal()
+      });
+      progress.done();
+      finish(options, result, (res) => console.log('✅', res.message));
+    } else {
+      const progress = progressFor(options, '📥 Download progress');
+      const result = await client.downloadFile(remote, destination, {
+        checksum: options.checksum,
+        decompress: options.decompress,
+        extractTo: options.extractTo,
+        keepArchive: options.keepArchive,
+        decrypt: decryptOption(options),
+        onProgress: progress.onProgress,
+        signal: interruptSignal()
+      });
+      progress.done();
+      finish(options, result, (res) => {
+        console.log('✅', res.message);
+        console.log(`📁 ${res.localPath} (${res.bytes} bytes in ${(res.elapsedMs / 1000).toFixed(1)} s)`);
+        console.log('🔐', describeChecksum(res.checksum));
+        if (res.extracted) {
+          console.log(`📦 ${res.extracted.files.length} file(s) extracted to ${res.extracted.to}`);
+        }
+      });
+    }
+  }));
+
+program
+  .command('ls')
+  .description('list a remote folder')
+  .argument('[remote]', 'remote folder', '/')
+  .action(action(async (client, options, remote) => {
+    finish(options, await client.listFiles(remote), (res) => console.log(formatListing(res.data)));
+  }));
+
+program
+  .command('mkdir')
+  .description('create a remote folder')
+  .argument('<remote>', 'folder to create')
+  .action(action(async (client, options, remote) => {
+    finish(options, await client.createFolder(remote), (res) => console.log('✅', res.message));
+  }));
+
+program
+  .command('rm')
+  .description('delete a remote file or folder')
+  .argument('<remote>', 'path to delete')
+  .action(action(async (client, options, remote) => {
+    finish(options, await client.delete(remote), (res) => console.log('✅', res.message));
+  }));
+
+program
+  .command('mv')
+  .description('rename or move a remote file or folder')
+  .argument('<from>', 'current path')
+  .argument('<to>', 'new path')
+  .action(action(async (client, options, from, to) => {
+    finish(options, await client.rename(from, to), (res) => console.log('✅', res.message));
+  }));
+
+program
+  .command('stat')
+  .description('show type, size and modification time of a remote path')
+  .argument('<remote>', 'path to check')
+  .action(action(async (client, options, remote) => {
+    finish(options, await client.stat(remote), (res) => {
+      const info = res.data;
+      console.log(`${info.type === 'dir' ? '📁' : '📄'} ${info.path}`);
+      console.log(`   Type:     ${info.type}`);
+      if (info.type === 'file') console.log(`   Size:     ${formatBytes(info.size)} (${info.size} bytes)`);
+      if (info.modified) console.log(`   Modified: ${info.modified.toISOString()}`);
+      if (info.permissions) console.log(`   Perms:    ${info.permissions}`);
+    });
+  }));
+
+program
+  .command('find')
+  .description('search a remote folder tree for files')
+  .argument('[remote]', 'remote folder to search', '/')
+  .option('--name <patterns...>', 'glob patterns, e.g. "*.csv"')
+  .option('--min-size <bytes>', 'only files at least this large', Number)
+  .option('--newer <date>', 'only files modified at or after this date')
+  .option('--depth <levels>', 'folder levels to descend (1 = this folder only)', Number)
+  .action(action(async (client, options, remote) => {
+    const result = await client.find(remote, {
+      pattern: options.name,
+      minSize: options.minSize,
+      modifiedSince: options.newer,
+      depth: options.depth
+    });
+    finish(options, result, (res) => {
+      for (const file of res.data) {
+        console.log(`${formatBytes(file.size).padStart(10)}  ${file.path}`);
+      }
+    });
+  }));
+
+program
+  .command('sync')
+  .description('mirror a local folder to a remote one, or the other way round')
+  .argument('<local>', 'local folder')
+  .argument('<remote>', 'remote folder')
+  .option('--direction <direction>', 'upload (local → remote) or download (remote → local)', 'upload')
+  .option('--delete', 'delete destination files missing from the source')
+  .option('--dry-run', 'only print the plan')
+  .option('--include <patterns...>', 'glob patterns to include')
+  .option('--exclude <patterns...>', 'glob patterns to exclude')
+  .action(action(async (client, options, local, remote) => {
+    if (!['upload', 'download'].includes(options.direction)) {
+      fail(options, `--direction must be "upload" or "download"`, EXIT.USAGE);
+    }
+
+    const result = await client.sync(local, remote, {
+      direction: options.direction,
+      delete: options.delete,
+      dryRun: options.dryRun,
+      include: options.include,
+      exclude: options.exclude
+    });
+    finish(options, result, (res) => {
+      console.log('✅', res.message);
+      for (const item of res.dryRun ? res.plan : []) {
+        console.log(`${item.action.padEnd(8)} ${item.relativePath}  (${item.reason})`);
+      }
+    });
+  }));
+
+const credentials = program
+  .command('credentials')
+  .description('manage the encrypted credential file (auth.source "file")');
+
+credentials
+  .command('set')
+  .description('store the password of the --env environment; read from stdin unless typed at a prompt')
+  .argument('[username]', 'user name (default: auth.username from config.json)')
+  .option('--file <path>', 'credential file (default: auth.file, then ~/.mft/credentials.enc)')
+  .option('--key-file <path>', 'key file, created if missing (default: auth.keyFile, then ~/.mft/credentials.key)')
+  .action(async (username, _options, command) => {
+    const options = command.optsWithGlobals();
+    let config;
+
+    try {
+      const fullConfig = loadConfig(options.config);
+      config = environmentConfig(fullConfig, options.env || fullConfig.defaultEnvironment);
+    } catch (error) {
+      fail(options, `Config error: ${error.message}`, EXIT.CONFIG);
+    }
+
+    const user = username || config.auth?.username;
+    const password = process.stdin.isTTY
+      ? await promptPassword({ environment: config.environment, username: user })
+      : (await readStdin()).split('\n')[0];
+
+    if (!user || !password) {
+      fail(options, 'A user name and a password are required', EXIT.USAGE);
+    }
+
+    const saved = saveFileCredentials(config.environment, { username: user, password: password }, {
+      file: options.file || config.auth?.file,
+      keyFile: options.keyFile || config.auth?.keyFile
+    });
+    finish(options, { success: true, message: `Credentials for "${config.environment}" saved`, ...saved }, (res) => {
+      console.log('✅', res.message, 'to', res.file);
+      console.log(`🔑 Key file: ${res.keyFile}. Set "auth": { "source": "file" } for this environment in config.json`);
+    });
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(EXIT.FAILED);
+});
@@ -1,93 +1,124 @@
-import axios from 'axios';
-import FormData from 'form-data';
 import fs from 'fs';
 import path from 'path';
-import archiver from 'archiver';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createBackend } from './lib/backends/index.js';
+import {
+  hashFile,
+  hashingStream,
+  hashFileInto,
+  withHashing,
+  checksumAlgorithm,
+  checksumFromResponse,
+  sidecarContent,
+  parseSidecar
+} from './lib/checksum.js';
+import { normalizeListing } from './lib/listing.js';
+import { mapWithConcurrency } from './lib/concurrency.js';
+import TransferQueue from './lib/transfer-queue.js';
+import FolderWatcher from './lib/folder-watcher.js';
+import InboxPoller from './lib/inbox-poller.js';
+import { createJournal } from './lib/journal.js';
+import { walkLocal, walkLocalDirs, matchesFilters, globLocal } from './lib/files.js';
+import {
+  compressionFormat,
+  compressionLevel,
+  archiveFileName,
+  formatFromName,
+  createArchiveStream,
+  extractArchive
+} from './lib/compression.js';
+import { encryptionSettings, encryptedFileName, decryptedFileName, encryptStream, decryptFile } from './lib/encryption.js';
+import { planSync } from './lib/sync.js';
+import { resolveRetryPolicy, withRetry } from './lib/retry.js';
+import { noopLogger } from './lib/logger.js';
+import { createRedactor, redactingLogger } from './lib/redact.js';
+import { createCredentialProvider } from './lib/credentials.js';
+import { toTypedError, RequestError, NotFoundError, CancelledError, IntegrityError } from './lib/errors.js';
+import { createProgressReporter, countingStream } from './lib/progress.js';
+import { RateLimiter, throttle, throttleStream } from './lib/throttle.js';
+import {
+  DEFAULT_CHUNK_SIZE,
+  defaultStateFile,
+  readUploadState,
+  writeUploadState,
+  removeUploadState
+} from './lib/upload-state.js';
 
 /**
  * ActiveTransfer HTTP Client
- * A client for interacting with webMethods Active Transfer REST APIs
+ * A client for interacting with webMethods Active Transfer REST APIs.
+ * Server specifics live in backend adapters (see lib/backends), selected
+ * with config.server.type: "onprem" (default), "saas" or "memory".
  */
 class ActiveTransferClient {
-  constructor(config) {
+  /**
+   * @param {Object} config - Client config (server, auth, defaults)
+   * @param {Object} options - Client options
+   * @param {Object} options.backend - Backend instance to use instead of the one from config.server.type
+   * @param {Object|boolean} options.retry - Retry policy overrides (see lib/retry.js), false to disable
+   * @param {Object} options.logger - Logger with debug/info/warn/error(message, fields) (default: silent)
+   * @param {string[]} options.redactKeys - Extra keys to hide in logs and error results (added to config.redactKeys)
+   * @param {number} options.maxBytesPerSecond - Bandwidth shared by all transfers (default: config.maxBytesPerSecond, unlimited)
+   * @param {Object} options.credentials - Credential provider with getCredentials() (default: picked from
+   *   config.auth.source, see lib/credentials.js)
+   * @param {Object|string|boolean} options.journal - Transfer journal, JSONL file path, or true for
+   *   ~/.mft/transfers.jsonl (default: config.journal, off; see lib/journal.js)
+   */
+  constructor(config, options = {}) {
     this.config = config;
-    this.baseUrl = `${config.server.protocol}://${config.server.host}:${config.server.port}`;
+    this.redact = createRedactor({ keys: [...(config.redactKeys || []), ...(options.redactKeys || [])] });
+    this.logger = options.logger ? redactingLogger(options.logger, this.redact) : noopLogger;
+    this.backend = options.backend || createBackend(config, { logger: this.logger });
+    this.retryPolicy = resolveRetryPolicy(config.retry, options.retry);
+    this.concurrency = config.concurrency || 4;
+    this.maxBytesPerSecond = options.maxBytesPerSecond ?? config.maxBytesPerSecond ?? null;
+    this.rateLimiter = this.maxBytesPerSecond ? new RateLimiter(this.maxBytesPerSecond) : null;
+    this.baseUrl = this.backend.baseUrl;
+    this.credentials = options.credentials || createCredentialProvider(config);
+    this.credentialsLoaded = null;
+    this.journal = createJournal(options.journal ?? config.journal ?? false);
     this.auth = {
-      username: config.auth.username,
-      password: config.auth.password
+      username: config.auth?.username
     };
-    // Detect if this is a SaaS environment based on hostname
-    this.isSaaS = config.server.host.includes('ipaas.automation.ibm.com');
-    // Store session cookies for SaaS
-    this.sessionCookies = null;
   }
 
   /**
-   * Login to SaaS environment and get session cookies
+   * Get credentials from the credential provider
+   * Called before the first request; call it earlier to prompt or fail at startup.
+   * Backends without credentials (memory) skip it.
+   * @returns {Promise<Object>} Result with data: { username, source }
    */
-  async loginSaaS() {
-    if (this.sessionCookies) {
-      return; // Already logged in
-    }
-
+  async loadCredentials() {
     try {
-      const axiosInstance = axios.create({
-        baseURL: this.baseUrl,
-        timeout: 30000,
-        withCredentials: true
-      });
-
-      console.log('\n🔐 Logging in to SaaS environment...');
-
-      // Try to login using Basic Auth header for SaaS
-      const response = await axiosInstance.post('/WebInterface/function/',
-        `command=login&username=${encodeURIComponent(this.auth.username)}&password=${encodeURIComponent(this.auth.password)}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-            'X-Requested-With': 'XMLHttpRequest'
-          }
-        }
-      );
-
-      // Extract cookies from response
-      const cookies = response.headers['set-cookie'];
-      if (cookies) {
-        this.sessionCookies = cookies.map(cookie => cookie.split(';')[0]).join('; ');
-        console.log('✅ Login successful\n');
-      }
+      await this.ensureCredentials();
+      return {
+        success: true,
+        message: `Credentials loaded (${this.credentials.name})`,
+        data: { username: this.auth.username, source: this.credentials.name }
+      };
     } catch (error) {
-      console.error('❌ SaaS login failed:', error.response?.data || error.message);
-      throw new Error('Failed to authenticate with SaaS environment');
+      return this.handleError('Load Credentials', error);
     }
   }
 
-  /**
-   * Create axios instance with authentication
-   */
-  getAxiosInstance(customTimeout = null) {
-    const config = {
-      baseURL: this.baseUrl,
-      timeout: customTimeout || 30000,
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-      withCredentials: true
-    };
-
-    // For SaaS, use session cookies; for on-prem, use Basic Auth
-    if (this.isSaaS && this.sessionCookies) {
-      config.headers = {
-        'Cookie': this.sessionCookies
-      };
-    } else if (!this.isSaaS) {
-      config.auth = this.auth;
+  ensureCredentials() {
+    if (typeof this.backend.setCredentials !== 'function') {
+      return Promise.resolve();
     }
 
-    return axios.create(config);
+    if (!this.credentialsLoaded) {
+      this.credentialsLoaded = Promise.resolve(this.credentials.getCredentials()).then((credentials) => {
+        this.backend.setCredentials(credentials);
+        this.auth = { username: credentials.username };
+        this.logger.debug('Credentials loaded', { source: this.credentials.name, username: credentials.username });
+      }, (error) => {
+        // A failed prompt or command can be tried again on the next call
+        this.credentialsLoaded = null;
+        throw error;
+      });
+    }
+    return this.credentialsLoaded;
   }
 
   /**
@@ -95,404 +126,714 @@ class ActiveTransferClient {
    * @param {string} filePath - Local file path to upload
    * @param {string} remotePath - Remote destination path (relative to VFS root)
    * @param {Object} options - Upload options
-   * @param {boolean} options.compress - Compress file to .zip before uploading (default: false)
-   * @returns {Promise<Object>} Response data
+   * @param {boolean|string} options.compress - Compress before uploading: true or "zip", "tar.gz" or "gzip";
+   *   the remote name gets the format's extension (default: false)
+   * @param {number} options.compressionLevel - 0 (store) to 9 (smallest, default)
+   * @param {Object} options.encrypt - Encrypt after compressing: { keyFile } for AES-256-GCM (adds ".enc")
+   *   or { publicKeyFile } for OpenPGP (adds ".pgp"); see lib/encryption.js
+   * @param {boolean} options.chunked - Upload in resumable parts (default: false)
+   * @param {number} options.chunkSize - Part size in bytes for chunked uploads (default: 8 MB)
+   * @param {string} options.stateFile - Where chunked upload progress is saved (default: <file>.upload-state.json)
+   * @param {Object|boolean} options.retry - Retry policy overrides for this call
+   * @param {Function} options.onProgress - Called with { loaded, total, rate, eta } as bytes are sent
+   * @param {AbortSignal} options.signal - Cancels the upload; the result then has cancelled: true
+   * @param {number} options.maxBytesPerSecond - Bandwidth for this upload, within the client-wide limit
+   * @param {boolean|string} options.checksum - "sha256" (or true) / "md5": upload a checksum sidecar
+   *   when the server doesn't report one (default: config.checksum)
+   * @returns {Promise<Object>} Response data, plus fileName (remote name) and checksum: { algorithm, value, verifiedBy, sidecar }
    */
   async uploadFile(filePath, remotePath = '/', options = {}) {
-    if (this.isSaaS) {
-      return this.uploadFileSaaS(filePath, remotePath, options);
-    } else {
-      return this.uploadFileOnPrem(filePath, remotePath, options);
-    }
+    const fileName = path.basename(filePath);
+
+    return this.journaled('upload', {
+      localPath: filePath,
+      remotePath: path.posix.join(remotePath, fileName),
+      size: localFileSize(filePath)
+    }, () => options.chunked
+      ? this.uploadFileChunked(filePath, remotePath, options)
+      : this.runUpload(filePath, remotePath, options), (result) => ({
+      remotePath: path.posix.join(remotePath, result.fileName || fileName)
+    }));
   }
 
   /**
-   * Upload file for SaaS environment
+   * Upload a file in one request (see uploadFile())
    */
-  async uploadFileSaaS(filePath, remotePath = '/', options = {}) {
-    // Ensure we're logged in first
-    await this.loginSaaS();
-
+  async runUpload(filePath, remotePath, options) {
+    const label = this.backend.label;
     const fileName = path.basename(filePath);
-    const fileStats = fs.statSync(filePath);
-    const fileSize = fileStats.size;
-    const compress = options.compress || false;
 
     const requestInfo = {
-      endpoint: '/WebInterface/function/',
+      endpoint: this.backend.endpoints.upload,
       method: 'POST',
       filePath: filePath,
       remotePath: remotePath,
       fileName: fileName,
-      fileSize: fileSize,
+      fileSize: null,
       baseUrl: this.baseUrl,
       username: this.auth.username,
-      type: 'SaaS',
-      compress: compress
+      type: label,
+      compress: options.compress || false
     };
 
     try {
-      const form = new FormData();
-
-      // Use stream for better memory efficiency with large files
-      let fileStream = fs.createReadStream(filePath);
-      let uploadFileName = fileName;
-      let uploadFileSize = fileSize;
+      // A missing local file is reported like any other failure, not thrown
+      const fileSize = fs.statSync(filePath).size;
+      requestInfo.fileSize = fileSize;
+
+      const format = compressionFormat(options.compress);
+      const level = compressionLevel(options.compressionLevel);
+      const encryption = encryptionSettings(options.encrypt, 'encrypt');
+      const uploadFileName = encryptedFileName(format ? archiveFileName(fileName, format) : fileName, encryption);
+
+      const { data, checksum } = await this.sendUpload(() => {
+        // Use stream for better memory efficiency with large files
+        const fileStream = format
+          ? createArchiveStream([{ localPath: filePath, name: fileName }], format, level)
+          : fs.createReadStream(filePath);
+        return encryption ? encryptStream(fileStream, encryption) : fileStream;
+      }, remotePath, {
+        fileName: uploadFileName,
+        size: fileSize,
+        knownLength: format || encryption ? null : fileSize, // Size unknown after compression or encryption
+        details: { file: fileName, compression: format || 'none', encryption: encryption?.type || 'none' }
+      }, options);
 
-      // Apply zip compression if requested
-      if (compress) {
-        const archive = archiver('zip', {
-          zlib: { level: 9 } // Maximum compression
-        });
+      return {
+        success: true,
+        message: `File uploaded successfully (${label})`,
+        data: data,
+        fileName: uploadFileName,
+        checksum: checksum
+      };
+    } catch (error) {
+      return this.handleError(`Upload (${label})`, error, requestInfo);
+    }
+  }
 
-        // Pipe the file into the archive
-        archive.append(fileStream, { name: fileName });
-        archive.finalize();
+  /**
+   * Upload several local files as one compressed archive
+   * @param {string|string[]} source - Local folder, glob pattern ("./logs/*.log") or list of files
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - Archive upload options
+   * @param {string} options.format - "zip" (default), "tar.gz" or "gzip" (a single file only)
+   * @param {number} options.compressionLevel - 0 (store) to 9 (smallest, default)
+   * @param {string} options.archiveName - Remote name without extension (default: the folder name, or "archive")
+   * @param {Object} options.encrypt - As for uploadFile()
+   * @param {string|string[]} options.include - Glob patterns of files to add from a folder
+   * @param {string|string[]} options.exclude - Glob patterns of files to leave out of a folder
+   * @param {Object|boolean} options.retry - Retry policy overrides for this call
+   * @param {Function} options.onProgress - Called with { loaded, total: null, rate, eta: null } as bytes are sent
+   * @param {AbortSignal} options.signal - Cancels the upload; the result then has cancelled: true
+   * @param {number} options.maxBytesPerSecond - Bandwidth for this upload, within the client-wide limit
+   * @param {boolean|string} options.checksum - As for uploadFile()
+   * @returns {Promise<Object>} Response data, plus remotePath, files (entries archived) and checksum
+   */
+  async uploadArchive(source, remotePath = '/', options = {}) {
+    return this.journaled('upload', {
+      localPath: [].concat(source).join(', '),
+      remotePath: remotePath
+    }, () => this.runArchiveUpload(source, remotePath, options), (result) => ({
+      remotePath: result.remotePath
+    }));
+  }
 
-        fileStream = archive;
-        uploadFileName = fileName + '.zip';
-        uploadFileSize = null; // Size unknown after compression
-      }
+  /**
+   * Pack the files into one archive and upload it (see uploadArchive())
+   */
+  async runArchiveUpload(source, remotePath, options) {
+    const label = this.backend.label;
+    const requestInfo = { source: source, remotePath: remotePath, format: options.format || 'zip' };
 
-      // SaaS-specific parameters from the curl
-      form.append('uploadPath', remotePath.endsWith('/') ? remotePath : remotePath + '/');
-      form.append('the_action', 'STOR');
+    try {
+      const format = compressionFormat(options.format || 'zip');
+      const level = compressionLevel(options.compressionLevel);
+      const { entries, name } = this.archiveEntries(source, options);
 
-      const fileOptions = { filename: uploadFileName };
-      if (uploadFileSize) {
-        fileOptions.knownLength = uploadFileSize;
+      if (!entries.length) {
+        throw new NotFoundError(`No files to archive in ${[].concat(source).join(', ')}`);
       }
 
-      form.append('file_lWsx_SINGLE_FILE_POST', fileStream, fileOptions);
-
-      // Calculate timeout based on file size (at least 5 minutes for large files)
-      // Assume 10 MB/s upload speed, add 2x buffer + 60s base
-      const estimatedUploadTime = (fileSize / (10 * 1024 * 1024)) * 1000; // ms
-      const timeoutMs = Math.max(300000, estimatedUploadTime * 2 + 60000); // min 5 minutes
-
-      const axiosInstance = this.getAxiosInstance(timeoutMs);
-
-      console.log('\n🔍 REQUEST DEBUG INFO (SaaS):');
-      console.log('━'.repeat(60));
-      console.log('URL:', `${this.baseUrl}/WebInterface/function/`);
-      console.log('Method: POST');
-      console.log('Username:', this.auth.username);
-      console.log('File (original):', fileName);
-      console.log('File (upload):', uploadFileName);
-      console.log('File Size (original):', (fileSize / 1024 / 1024).toFixed(2), 'MB');
-      console.log('Upload Path:', remotePath);
-      console.log('Action: STOR');
-      console.log('Compression:', compress ? 'zip (enabled)' : 'none');
-      console.log('Content-Type:', form.getHeaders()['content-type']);
-      console.log('Transfer: Streaming (chunked)');
-      console.log('Timeout:', (timeoutMs / 1000).toFixed(0), 'seconds');
-      console.log('━'.repeat(60) + '\n');
-
-      const response = await axiosInstance.post('/WebInterface/function/', form, {
-        headers: {
-          ...form.getHeaders(),
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: timeoutMs,
-        // Track upload progress using file size as fallback
-        onUploadProgress: (progressEvent) => {
-          const total = progressEvent.total || fileSize;
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / total);
-          process.stdout.write(`\r📤 Upload progress: ${percentCompleted}% (${(progressEvent.loaded / 1024 / 1024).toFixed(2)} MB / ${(total / 1024 / 1024).toFixed(2)} MB)`);
-        }
-      });
+      const encryption = encryptionSettings(options.encrypt, 'encrypt');
+      const uploadFileName = encryptedFileName(archiveFileName(options.archiveName || name, format), encryption);
+      const size = entries.reduce((sum, entry) => sum + fs.statSync(entry.localPath).size, 0);
 
-      console.log('\n'); // New line after progress
+      const { data, checksum } = await this.sendUpload(() => {
+        const archive = createArchiveStream(entries, format, level);
+        return encryption ? encryptStream(archive, encryption) : archive;
+      }, remotePath, {
+        fileName: uploadFileName,
+        size: size,
+        knownLength: null,
+        details: { files: entries.length, compression: format, encryption: encryption?.type || 'none' }
+      }, options);
 
       return {
         success: true,
-        message: 'File uploaded successfully (SaaS)',
-        data: response.data
+        message: `${entries.length} file(s) uploaded as ${uploadFileName} (${label})`,
+        data: data,
+        remotePath: path.posix.join(remotePath, uploadFileName),
+        files: entries.map((entry) => entry.name),
+        checksum: checksum
       };
     } catch (error) {
-      console.log('\n'); // New line after progress on error
-      return this.handleError('Upload (SaaS)', error, requestInfo);
+      return this.handleError(`Upload Archive (${label})`, error, requestInfo);
     }
   }
 
   /**
-   * Upload file for On-Premises environment
+   * Upload from a stream instead of a local file, e.g. a download from another server
+   * @param {Function} openStream - Returns a new readable stream (or a promise of one); called again
+   *   for every retry, since a consumed stream can't be replayed
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - Stream upload options
+   * @param {string} options.fileName - Remote file name
+   * @param {number} options.size - Bytes the stream will deliver, null when unknown
+   * @param {Object|boolean} options.retry - Retry policy overrides for this call
+   * @param {Function} options.onProgress - Called with { loaded, total, rate, eta } as bytes are sent
+   * @param {AbortSignal} options.signal - Cancels the upload; the result then has cancelled: true
+   * @param {number} options.maxBytesPerSecond - Bandwidth for this upload, within the client-wide limit
+   * @param {boolean|string} options.checksum - As for uploadFile()
+   * @returns {Promise<Object>} Response data, plus fileName and checksum
    */
-  async uploadFileOnPrem(filePath, remotePath = '/', options = {}) {
-    const fileName = path.basename(filePath);
-    const fileStats = fs.statSync(filePath);
-    const fileSize = fileStats.size;
-    const compress = options.compress || false;
+  async uploadStream(openStream, remotePath = '/', options = {}) {
+    const label = this.backend.label;
+    const size = options.size ?? null;
+
+    return this.journaled('upload', {
+      remotePath: path.posix.join(remotePath, options.fileName || ''),
+      size: size
+    }, async () => {
+      try {
+        if (!options.fileName) {
+          throw new RequestError('uploadStream needs a fileName');
+        }
 
-    const requestInfo = {
-      endpoint: '/api/upload',
+        const { data, checksum } = await this.sendUpload(openStream, remotePath, {
+          fileName: options.fileName,
+          size: size || 0,
+          knownLength: size,
+          details: { file: options.fileName, source: 'stream' }
+        }, options);
+
+        return {
+          success: true,
+          message: `Stream uploaded successfully (${label})`,
+          data: data,
+          fileName: options.fileName,
+          checksum: checksum
+        };
+      } catch (error) {
+        return this.handleError(`Upload (${label})`, error, { remotePath: remotePath, fileName: options.fileName, size: size });
+      }
+    });
+  }
+
+  /**
+   * Files going into an archive, named relative to the folder or glob base
+   * @returns {Object} { entries: [{ localPath, name }], name: default archive name }
+   */
+  archiveEntries(source, options) {
+    const toEntries = (files) => files.map((file) => ({ localPath: file.localPath, name: file.relativePath }));
+
+    if (Array.isArray(source)) {
+      return {
+        entries: source.map((filePath) => ({ localPath: filePath, name: path.basename(filePath) })),
+        name: 'archive'
+      };
+    }
+
+    if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      const files = walkLocal(source).filter((file) => matchesFilters(file.relativePath, options));
+      return { entries: toEntries(files), name: path.basename(path.resolve(source)) };
+    }
+
+    if (fs.existsSync(source)) {
+      return { entries: [{ localPath: source, name: path.basename(source) }], name: path.basename(source) };
+    }
+
+    return { entries: toEntries(globLocal(source).files), name: 'archive' };
+  }
+
+  /**
+   * Send one upload stream, with a fresh stream for every attempt
+   * The bytes sent are hashed on the way and checked with verifyUpload().
+   * @param {Function} openStream - Returns a new readable stream (or a promise of one) to upload
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} upload - fileName, size (of the source, for the timeout), knownLength
+   *   (bytes sent, null when unknown) and details to log
+   * @param {Object} options - Upload options (retry, onProgress, signal, maxBytesPerSecond, checksum)
+   * @returns {Promise<Object>} { data, checksum }
+   */
+  async sendUpload(openStream, remotePath, upload, options) {
+    const label = this.backend.label;
+    const algorithm = checksumAlgorithm(options.checksum ?? this.config.checksum);
+    const limiters = this.rateLimiters(options);
+    const timeoutMs = this.transferTimeout(upload.size, options);
+
+    this.logger.debug(`Upload request (${label})`, {
+      url: `${this.baseUrl}${this.backend.endpoints.upload}`,
       method: 'POST',
-      filePath: filePath,
-      remotePath: remotePath,
-      fileName: fileName,
-      fileSize: fileSize,
-      baseUrl: this.baseUrl,
       username: this.auth.username,
-      type: 'On-Premises',
-      compress: compress
-    };
+      ...upload.details,
+      uploadName: upload.fileName,
+      size: upload.size,
+      remotePath: remotePath,
+      maxBytesPerSecond: options.maxBytesPerSecond || this.maxBytesPerSecond || undefined,
+      timeoutMs: timeoutMs
+    });
+
+    // Every attempt needs a fresh stream, a consumed one can't be replayed
+    let hashedStream;
+    const data = await this.runWithRetry(`Upload (${label})`, async () => {
+      const reportProgress = createProgressReporter(options.onProgress);
+      const fileStream = await openStream();
+
+      // Hash exactly the bytes that go on the wire
+      hashedStream = withHashing(fileStream);
+      const uploadStream = throttle(hashedStream, limiters);
+
+      return this.withStreamAbort([fileStream, hashedStream, uploadStream], options.signal, () => this.backend.upload(uploadStream, remotePath, {
+        fileName: upload.fileName,
+        knownLength: upload.knownLength,
+        timeout: timeoutMs,
+        signal: options.signal,
+        // Report upload progress using file size as fallback
+        onProgress: (progressEvent) => {
+          reportProgress(progressEvent.loaded, upload.knownLength === null ? null : progressEvent.total || upload.knownLength);
+        }
+      }));
+    }, options.retry, options.signal);
 
-    try {
-      const form = new FormData();
+    const checksum = await this.verifyUpload(data, hashedStream.digests(), algorithm, remotePath, upload.fileName, options);
+    return { data, checksum };
+  }
 
-      // Use stream for better memory efficiency with large files
-      let fileStream = fs.createReadStream(filePath);
-      let uploadFileName = fileName;
-      let uploadFileSize = fileSize;
+  /**
+   * Start a chunked upload
+   * The file is sent in fixed-size parts and progress is saved to a state
+   * file after each part; see resumeUpload() to continue an interrupted upload.
+   */
+  async uploadFileChunked(filePath, remotePath = '/', options = {}) {
+    const stateFile = options.stateFile || defaultStateFile(filePath);
 
-      // Apply zip compression if requested
-      if (compress) {
-        const archive = archiver('zip', {
-          zlib: { level: 9 } // Maximum compression
-        });
+    try {
+      if (options.compress || options.encrypt) {
+        throw new RequestError('Chunked uploads do not support compression or encryption');
+      }
+      this.requirePartUploads();
+
+      const fileStats = fs.statSync(filePath);
+
+      const state = {
+        version: 1,
+        filePath: path.resolve(filePath),
+        remotePath: remotePath,
+        fileName: path.basename(filePath),
+        fileSize: fileStats.size,
+        mtimeMs: fileStats.mtimeMs,
+        chunkSize: options.chunkSize || DEFAULT_CHUNK_SIZE,
+        checksum: checksumAlgorithm(options.checksum ?? this.config.checksum),
+        uploadedBytes: 0,
+        baseUrl: this.baseUrl,
+        startedAt: new Date().toISOString()
+      };
 
-        // Pipe the file into the archive
-        archive.append(fileStream, { name: fileName });
-        archive.finalize();
+      writeUploadState(stateFile, state);
 
-        fileStream = archive;
-        uploadFileName = fileName + '.zip';
-        uploadFileSize = null; // Size unknown after compression
-      }
+      return this.runChunkedUpload(state, stateFile, options);
+    } catch (error) {
+      return this.handleError(`Chunked Upload (${this.backend.label})`, error, { filePath, remotePath, stateFile });
+    }
+  }
 
-      form.append('uploadPath', remotePath);
+  /**
+   * Resume an interrupted chunked upload
+   * @param {string} stateFile - State file written by a chunked upload
+   * @param {Object} options - Resume options
+   * @param {Object|boolean} options.retry - Retry policy overrides for each part
+   * @param {Function} options.onProgress - Called with { loaded, total, rate, eta } as bytes are sent
+   * @param {AbortSignal} options.signal - Cancels the upload; the state file is kept for another resume
+   * @param {number} options.maxBytesPerSecond - Bandwidth for this upload, within the client-wide limit
+   * @returns {Promise<Object>} Response data
+   */
+  async resumeUpload(stateFile, options = {}) {
+    try {
+      const state = readUploadState(stateFile);
 
-      const fileOptions = { filename: uploadFileName };
-      if (uploadFileSize) {
-        fileOptions.knownLength = uploadFileSize;
+      if (state.baseUrl !== this.baseUrl) {
+        throw new RequestError(`Upload was started against ${state.baseUrl}, not ${this.baseUrl}`);
       }
+      this.requirePartUploads();
 
-      form.append('file', fileStream, fileOptions);
-
-      // Calculate timeout based on file size (at least 5 minutes for large files)
-      // Assume 10 MB/s upload speed, add 2x buffer + 60s base
-      const estimatedUploadTime = (fileSize / (10 * 1024 * 1024)) * 1000; // ms
-      const timeoutMs = Math.max(300000, estimatedUploadTime * 2 + 60000); // min 5 minutes
-
-      const axiosInstance = this.getAxiosInstance(timeoutMs);
-
-      console.log('\n🔍 REQUEST DEBUG INFO (On-Premises):');
-      console.log('━'.repeat(60));
-      console.log('URL:', `${this.baseUrl}/api/upload`);
-      console.log('Method: POST');
-      console.log('Username:', this.auth.username);
-      console.log('File (original):', fileName);
-      console.log('File (upload):', uploadFileName);
-      console.log('File Size (original):', (fileSize / 1024 / 1024).toFixed(2), 'MB');
-      console.log('Upload Path:', remotePath);
-      console.log('Compression:', compress ? 'zip (enabled)' : 'none');
-      console.log('Content-Type:', form.getHeaders()['content-type']);
-      console.log('Transfer: Streaming (chunked)');
-      console.log('Timeout:', (timeoutMs / 1000).toFixed(0), 'seconds');
-      console.log('Form Data Fields:', 'uploadPath, file');
-      console.log('━'.repeat(60) + '\n');
-
-      let uploadedBytes = 0;
-      let progressInterval = null;
-      let formLength = null;
-
-      // Get the form length for progress tracking (only works for non-compressed files)
-      if (!compress) {
-        try {
-          formLength = await new Promise((resolve, reject) => {
-            form.getLength((err, length) => {
-              if (err) reject(err);
-              else resolve(length);
-            });
-          });
-        } catch (err) {
-          console.log('⚠️  Could not determine form length, progress may be inaccurate');
-        }
+      const fileStats = fs.statSync(state.filePath);
+      if (fileStats.size !== state.fileSize || fileStats.mtimeMs !== state.mtimeMs) {
+        throw new RequestError(`Local file changed since the upload started: ${state.filePath}`);
       }
 
-      try {
-        if (formLength) {
-          // Show percentage progress for non-compressed uploads
-          progressInterval = setInterval(() => {
-            const percent = Math.round((uploadedBytes * 100) / formLength);
-            process.stdout.write(`\r📤 Upload progress: ${percent}% (${(uploadedBytes / 1024 / 1024).toFixed(2)} MB / ${(formLength / 1024 / 1024).toFixed(2)} MB)`);
-          }, 100);
-        } else {
-          // Show bytes uploaded for compressed uploads (no percentage)
-          progressInterval = setInterval(() => {
-            process.stdout.write(`\r📤 Uploading: ${(uploadedBytes / 1024 / 1024).toFixed(2)} MB sent...`);
-          }, 100);
-        }
+      this.logger.info(`Resuming upload of ${state.fileName}`, { offset: state.uploadedBytes, size: state.fileSize });
 
-        const response = await axiosInstance.post('/api/upload', form, {
-          headers: {
-            ...form.getHeaders()
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-          timeout: timeoutMs,
-          maxRedirects: 0,
-          // Track upload progress
-          onUploadProgress: (progressEvent) => {
-            uploadedBytes = progressEvent.loaded;
-          }
-        });
+      return this.runChunkedUpload(state, stateFile, options);
+    } catch (error) {
+      return this.handleError(`Resume Upload (${this.backend.label})`, error, { stateFile });
+    }
+  }
 
-        clearInterval(progressInterval);
+  /**
+   * Fail unless the server can append a part to a file
+   * A server that ignored the offset would write each part over the last one.
+   */
+  requirePartUploads() {
+    if (typeof this.backend.uploadPart !== 'function') {
+      throw new RequestError(`Chunked uploads are not supported on ${this.backend.label} servers; upload the file in one request`);
+    }
+  }
 
-        if (formLength) {
-          process.stdout.write(`\r📤 Upload progress: 100% (${(formLength / 1024 / 1024).toFixed(2)} MB / ${(formLength / 1024 / 1024).toFixed(2)} MB)\n`);
-        } else {
-          process.stdout.write(`\r📤 Upload complete: ${(uploadedBytes / 1024 / 1024).toFixed(2)} MB sent\n`);
-        }
+  /**
+   * Send the remaining parts of a chunked upload, saving state after each one
+   */
+  async runChunkedUpload(state, stateFile, options = {}) {
+    const label = this.backend.label;
+    const { filePath, remotePath, fileName, fileSize, chunkSize } = state;
+    const reportProgress = createProgressReporter(options.onProgress, state.uploadedBytes);
+    const limiters = this.rateLimiters(options);
+    let data = null;
 
-        return {
-          success: true,
-          message: 'File uploaded successfully (On-Premises)',
-          data: response.data
-        };
-      } catch (uploadError) {
-        if (progressInterval) clearInterval(progressInterval);
-        process.stdout.write('\n');
-        throw uploadError;
+    try {
+      // An empty file still needs one (empty) part to create it remotely
+      do {
+        const offset = state.uploadedBytes;
+        const end = Math.min(offset + chunkSize, fileSize);
+        const partLength = end - offset;
+
+        const timeoutMs = this.transferTimeout(partLength, options);
+
+        data = await this.runWithRetry(`Chunked Upload (${label})`, () => {
+          const partStream = partLength > 0
+            ? fs.createReadStream(filePath, { start: offset, end: end - 1 })
+            : Readable.from([]);
+          const uploadStream = throttle(partStream, limiters);
+
+          return this.withStreamAbort([partStream, uploadStream], options.signal, () => this.backend.uploadPart(uploadStream, remotePath, {
+            fileName: fileName,
+            offset: offset,
+            totalSize: fileSize,
+            knownLength: partLength,
+            timeout: timeoutMs,
+            signal: options.signal,
+            onProgress: (progressEvent) => {
+              reportProgress(offset + progressEvent.loaded, fileSize);
+            }
+          }));
+        }, options.retry, options.signal);
+
+        state.uploadedBytes = end;
+        writeUploadState(stateFile, state);
+        this.logger.debug(`Part uploaded (${label})`, { fileName, offset, uploadedBytes: end, size: fileSize });
+      } while (state.uploadedBytes < fileSize);
+
+      removeUploadState(stateFile);
+
+      // A server that wrote a part over the file instead of appending it still answers with success,
+      // so check the size it ended up with: from the last response, or else from a listing
+      const remoteFile = path.posix.join(remotePath, fileName);
+      let remoteSize = typeof data?.size === 'number' ? data.size : null;
+      if (remoteSize === null) {
+        const stat = await this.stat(remoteFile);
+        if (!stat.success) throw stat.error;
+        remoteSize = stat.data.size;
       }
+      if (remoteSize !== fileSize) {
+        throw new IntegrityError(`Size mismatch after upload: ${remoteFile} has ${remoteSize} bytes on the server, local file has ${fileSize}`, {
+          algorithm: 'size',
+          expected: fileSize,
+          actual: remoteSize
+        });
+      }
+
+      // Parts may have been sent by different processes, so hash the whole file at the end
+      const hasher = hashingStream();
+      await hashFileInto(hasher, filePath);
+      const checksum = await this.verifyUpload(data, hasher.digests(), state.checksum ?? null, remotePath, fileName, options);
+
+      return {
+        success: true,
+        message: `File uploaded successfully in parts (${label})`,
+        bytes: fileSize,
+        data: data,
+        checksum: checksum
+      };
     } catch (error) {
-      return this.handleError('Upload (On-Premises)', error, requestInfo);
+      const result = this.handleError(`Chunked Upload (${label})`, error, {
+        filePath,
+        remotePath,
+        uploadedBytes: state.uploadedBytes,
+        fileSize
+      });
+      // Gone once every part is in, e.g. when only the size or checksum check failed
+      if (fs.existsSync(stateFile)) {
+        result.stateFile = stateFile;
+      }
+      return result;
     }
   }
 
   /**
    * Download a file from Active Transfer server
+   * The file is written to "<localPath>.part" and only renamed into place once
+   * its size (and checksum, when one is known) matches. A leftover .part file
+   * from an interrupted download is resumed with an HTTP Range request.
    * @param {string} remotePath - Remote file path to download
-   * @param {string} localPath - Local destination path (optional)
-   * @returns {Promise<Object>} Response data
+   * @param {string} localPath - Local destination path (optional, returns a stream if omitted)
+   * @param {Object} options - Download options
+   * @param {boolean} options.resume - Resume from an existing .part file (default: true)
+   * @param {Object|boolean|string} options.checksum - Expected { algorithm, value } (hex) to verify against,
+   *   or "sha256" (or true) / "md5" to check against a sidecar file when the server sends no checksum
+   *   (default: config.checksum)
+   * @param {Object|boolean} options.retry - Retry policy overrides for this call
+   * @param {Function} options.onProgress - Called with { loaded, total, rate, eta } as bytes arrive
+   * @param {AbortSignal} options.signal - Cancels the download; the .part file is kept for resuming
+   * @param {number} options.maxBytesPerSecond - Bandwidth for this download, within the client-wide limit
+   * @param {boolean|string} options.decompress - Extract after downloading: true (format from the remote
+   *   name) or "zip", "tar.gz" or "gzip" (default: false)
+   * @param {string} options.extractTo - Folder to extract zip and tar.gz into (default: the folder of localPath),
+   *   or file to write a gunzipped file to (default: localPath without ".gz")
+   * @param {boolean} options.keepArchive - Keep the downloaded archive after extracting (default: false)
+   * @param {Object} options.decrypt - Decrypt before extracting: { keyFile } for AES-256-GCM or
+   *   { privateKeyFile, passphrase } for OpenPGP. The plain file replaces the download, named
+   *   without ".enc" / ".pgp"
+   * @returns {Promise<Object>} Response data, plus localPath (the extraction target once the archive
+   *   is removed), checksum: { algorithm, value, verifiedBy }, decrypted: { type } and, when
+   *   decompressing, extracted: { format, to, files }
    */
-  async downloadFile(remotePath, localPath = null) {
-    try {
-      const axiosInstance = this.getAxiosInstance();
+  async downloadFile(remotePath, localPath = null, options = {}) {
+    return this.journaled('download', { localPath: localPath, remotePath: remotePath }, () => this.runDownload(remotePath, localPath, options), (result) => ({
+      localPath: result.localPath ?? null,
+      size: result.bytes ?? result.size ?? null
+    }));
+  }
 
-      const response = await axiosInstance.post('/api/download', {
-        path: remotePath
-      }, {
-        responseType: 'stream'
-      });
+  /**
+   * Download a file, or open a download stream (see downloadFile())
+   */
+  async runDownload(remotePath, localPath, options) {
+    const label = this.backend.label;
+    const startTime = Date.now();
+    const limiters = this.rateLimiters(options);
+
+    if (!localPath) {
+      try {
+        if (options.decompress || options.decrypt) {
+          throw new RequestError('decompress and decrypt need a local path to download to');
+        }
+
+        const download = await this.runWithRetry(
+          `Download (${label})`,
+          () => this.backend.download(remotePath, { signal: options.signal }),
+          options.retry,
+          options.signal
+        );
 
-      if (localPath) {
-        const writer = fs.createWriteStream(localPath);
-        response.data.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-          writer.on('finish', () => {
-            resolve({
-              success: true,
-              message: 'File downloaded successfully',
-              localPath: localPath
-            });
-          });
-          writer.on('error', (err) => {
-            reject({
-              success: false,
-              message: 'Failed to write file',
-              error: err.message
-            });
-          });
-        });
-      } else {
         // Return stream if no local path specified
         return {
           success: true,
           message: 'File stream retrieved',
-          stream: response.data
+          stream: throttle(download.stream, limiters),
+          size: download.totalSize
         };
+      } catch (error) {
+        return this.handleError(`Download (${label})`, error);
       }
-    } catch (error) {
-      return this.handleError('Download', error);
     }
-  }
 
-  /**
-   * List files in a directory
-   * @param {string} remotePath - Remote directory path
-   * @returns {Promise<Object>} List of files and directories
-   */
-  async listFiles(remotePath = '/') {
-    if (this.isSaaS) {
-      return this.listFilesSaaS(remotePath);
-    } else {
-      return this.listFilesOnPrem(remotePath);
-    }
-  }
-
-  /**
-   * List files for SaaS environment
-   */
-  async listFilesSaaS(remotePath = '/') {
-    // Ensure we're logged in first
-    await this.loginSaaS();
+    const partPath = `${localPath}.part`;
 
     try {
-      const axiosInstance = this.getAxiosInstance();
+      const decryption = encryptionSettings(options.decrypt, 'decrypt');
+      const plainPath = decryptedFileName(localPath, decryption);
+      const extraction = this.extractionTarget(decryptedFileName(remotePath, decryption), plainPath, options);
+      const expectedChecksum = typeof options.checksum === 'object' ? options.checksum : null;
+      const sidecarAlgorithm = expectedChecksum ? null : checksumAlgorithm(options.checksum ?? this.config.checksum);
+      const existingPart = options.resume !== false && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+      let resumedFrom = 0;
+      let hasher;
+
+      // A retried attempt picks up from whatever the failed one left in the .part file
+      const download = await this.runWithRetry(`Download (${label})`, async (attempt) => {
+        let offset = attempt > 1 && fs.existsSync(partPath) ? fs.statSync(partPath).size : existingPart;
+
+        let response;
+        try {
+          response = await this.backend.download(remotePath, { offset, signal: options.signal });
+        } catch (error) {
+          // 416: the .part file doesn't fit the remote file any more, start over
+          if (offset === 0 || (error.response?.status ?? error.status) !== 416) throw error;
+          offset = 0;
+          response = await this.backend.download(remotePath, { offset, signal: options.signal });
+        }
 
-      // Generate a random token (similar to the curl example)
-      const randomToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+        // Server ignored the Range header and sent the whole file
+        if (offset > 0 && !response.partial) {
+          offset = 0;
+        }
 
-      // Encode the path (double encoding like in the curl)
-      const encodedPath = encodeURIComponent(remotePath);
+        if (offset > 0) {
+          this.logger.info(`Resuming download of ${remotePath}`, { offset });
+        }
+        if (attempt === 1) {
+          resumedFrom = offset;
+        }
 
-      const response = await axiosInstance.post('/WebInterface/function/',
-        `command=getXMLListing&format=JSONOBJ&path=${encodedPath}&random=${randomToken}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-            'X-Requested-With': 'XMLHttpRequest'
-          }
+        // Bytes already in the .part file count towards the checksum too
+        hasher = hashingStream();
+        if (offset > 0) {
+          await hashFileInto(hasher, partPath);
         }
-      );
 
-      console.log('\n🔍 LIST REQUEST (SaaS):');
-      console.log('━'.repeat(60));
-      console.log('URL:', `${this.baseUrl}/WebInterface/function/`);
-      console.log('Command: getXMLListing');
-      console.log('Format: JSONOBJ');
-      console.log('Path:', remotePath);
-      console.log('━'.repeat(60) + '\n');
+        const reportProgress = createProgressReporter(options.onProgress, offset);
+        // Each chunk is written before the next is read, and the file is only closed once the
+        // last write is done, so a dropped connection leaves everything received for the retry
+        const file = await fs.promises.open(partPath, offset > 0 ? 'a' : 'w');
+        try {
+          await pipeline(
+            response.stream,
+            ...(limiters.length ? [throttleStream(limiters)] : []),
+            hasher,
+            countingStream((count) => reportProgress(offset + count, response.totalSize)),
+            async (source) => {
+              for await (const chunk of source) await file.write(chunk);
+            },
+            { signal: options.signal }
+          );
+        } finally {
+          await file.close();
+        }
+        return response;
+      }, options.retry, options.signal);
+
+      const bytes = fs.statSync(partPath).size;
+
+      if (download.totalSize !== null && bytes !== download.totalSize) {
+        // Keep a short file so the next attempt can resume; an oversized one is useless
+        if (bytes > download.totalSize) fs.rmSync(partPath, { force: true });
+        throw new Error(`Size mismatch: received ${bytes} bytes, expected ${download.totalSize}`);
+      }
+
+      const digests = hasher.digests();
+      const expected = expectedChecksum ? { ...expectedChecksum, source: 'expected' }
+        : download.checksum ? { ...download.checksum, source: 'server' }
+          : sidecarAlgorithm ? await this.readSidecar(remotePath, sidecarAlgorithm, options)
+            : null;
+
+      let checksum = { algorithm: 'sha256', value: digests.sha256, verifiedBy: null };
+      if (expected) {
+        const algorithm = expected.algorithm.toLowerCase().replace('-', '');
+        const actual = digests[algorithm] ?? await hashFile(partPath, algorithm);
+        if (actual !== expected.value.toLowerCase()) {
+          fs.rmSync(partPath, { force: true });
+          throw new IntegrityError(`${algorithm} mismatch for ${remotePath}: got ${actual}, expected ${expected.value}`, {
+            algorithm: algorithm,
+            expected: expected.value.toLowerCase(),
+            actual: actual
+          });
+        }
+        checksum = { algorithm: algorithm, value: actual, verifiedBy: expected.source };
+      }
+
+      fs.renameSync(partPath, localPath);
+
+      if (decryption) {
+        // A wrong key or tampered file only shows at the end; keep the download until then
+        const decryptingPath = `${plainPath}.decrypting`;
+        try {
+          await decryptFile(localPath, decryptingPath, decryption);
+        } catch (error) {
+          fs.rmSync(decryptingPath, { force: true });
+          throw error;
+        }
+        fs.rmSync(localPath);
+        fs.renameSync(decryptingPath, plainPath);
+      }
+
+      let extracted;
+      let savedPath = plainPath;
+      if (extraction) {
+        extracted = { ...extraction, files: await extractArchive(plainPath, extraction.format, extraction.to) };
+        if (!options.keepArchive) {
+          fs.rmSync(plainPath, { force: true });
+          // The archive is gone, point at what came out of it
+          savedPath = extraction.to;
+        }
+      }
 
       return {
         success: true,
-        message: 'Files listed successfully (SaaS)',
-        data: response.data
+        message: extraction ? `File downloaded and extracted to ${extraction.to}` : 'File downloaded successfully',
+        localPath: savedPath,
+        bytes: bytes,
+        resumedFrom: resumedFrom,
+        elapsedMs: Date.now() - startTime,
+        checksum: checksum,
+        ...(decryption && { decrypted: { type: decryption.type } }),
+        ...(extracted && { extracted })
       };
     } catch (error) {
-      return this.handleError('List (SaaS)', error);
+      const result = this.handleError(`Download (${label})`, error, { remotePath, localPath });
+      if (fs.existsSync(partPath)) {
+        result.partPath = partPath;
+      }
+      result.elapsedMs = Date.now() - startTime;
+      return result;
     }
   }
 
   /**
-   * List files for On-Premises environment
+   * Where and how downloadFile() extracts, checked before anything is downloaded
+   * @returns {Object|null} { format, to }, or null when not decompressing
    */
-  async listFilesOnPrem(remotePath = '/') {
+  extractionTarget(remotePath, localPath, options) {
+    if (!options.decompress) return null;
+
+    const format = options.decompress === true ? formatFromName(remotePath) : compressionFormat(options.decompress);
+    if (!format) {
+      throw new RequestError(`Cannot tell the compression format of ${remotePath}; pass decompress: "zip", "tar.gz" or "gzip"`);
+    }
+
+    if (options.extractTo) return { format: format, to: options.extractTo };
+    if (format !== 'gzip') return { format: format, to: path.dirname(localPath) };
+
+    if (!localPath.toLowerCase().endsWith('.gz')) {
+      throw new RequestError(`Pass extractTo for the gunzipped file; ${localPath} has no .gz extension to remove`);
+    }
+    return { format: format, to: localPath.slice(0, -3) };
+  }
+
+  /**
+   * List files in a directory
+   * The listing is normalized to the same entries for every backend:
+   * { name, path, type: 'file' | 'dir', size, modified: Date | null, permissions }
+   * @param {string} remotePath - Remote directory path
+   * @returns {Promise<Object>} Entries in `data`, the server's own payload in `raw`
+   */
+  async listFiles(remotePath = '/') {
+    const label = this.backend.label;
+
     try {
-      const axiosInstance = this.getAxiosInstance();
+      const raw = await this.runWithRetry(`List (${label})`, () => this.backend.list(remotePath));
 
-      const response = await axiosInstance.post('/api/list', {
+      this.logger.debug(`List request (${label})`, {
+        url: `${this.baseUrl}${this.backend.endpoints.list}`,
         path: remotePath
       });
 
-      console.log('\n🔍 LIST REQUEST (On-Premises):');
-      console.log('━'.repeat(60));
-      console.log('URL:', `${this.baseUrl}/api/list`);
-      console.log('Path:', remotePath);
-      console.log('━'.repeat(60) + '\n');
-
       return {
         success: true,
-        message: 'Files listed successfully (On-Premises)',
-        data: response.data
+        message: `Files listed successfully (${label})`,
+        data: this.parseListing(raw, remotePath),
+        raw: raw
       };
     } catch (error) {
-      return this.handleError('List (On-Premises)', error);
+      return this.handleError(`List (${label})`, error);
     }
   }
 
@@ -503,19 +844,15 @@ class ActiveTransferClient {
    */
   async createFolder(folderPath) {
     try {
-      const axiosInstance = this.getAxiosInstance();
-
-      const response = await axiosInstance.post('/api/createFolder', {
-        path: folderPath
-      });
+      const data = await this.runWithRetry(`Create Folder (${this.backend.label})`, () => this.backend.createFolder(folderPath));
 
       return {
         success: true,
         message: 'Folder created successfully',
-        data: response.data
+        data: data
       };
     } catch (error) {
-      return this.handleError('Create Folder', error);
+      return this.handleError(`Create Folder (${this.backend.label})`, error);
     }
   }
 
@@ -525,118 +862,891 @@ class ActiveTransferClient {
    * @returns {Promise<Object>} Response data
    */
   async delete(remotePath) {
-    try {
-      const axiosInstance = this.getAxiosInstance();
+    return this.journaled('delete', { remotePath: remotePath }, async () => {
+      try {
+        const data = await this.runWithRetry(`Delete (${this.backend.label})`, () => this.backend.delete(remotePath));
 
-      const response = await axiosInstance.post('/api/delete', {
-        path: remotePath
-      });
+        return {
+          success: true,
+          message: 'Deleted successfully',
+          data: data
+        };
+      } catch (error) {
+        return this.handleError(`Delete (${this.backend.label})`, error);
+      }
+    });
+  }
+
+  /**
+   * Rename a file or folder
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path/name
+   * @returns {Promise<Object>} Response data
+   */
+  async rename(oldPath, newPath) {
+    return this.journaled('rename', { remotePath: oldPath, newPath: newPath }, async () => {
+      try {
+        const data = await this.runWithRetry(`Rename (${this.backend.label})`, () => this.backend.rename(oldPath, newPath));
+
+        return {
+          success: true,
+          message: 'Renamed successfully',
+          data: data
+        };
+      } catch (error) {
+        return this.handleError(`Rename (${this.backend.label})`, error);
+      }
+    });
+  }
+
+  /**
+   * Check if path is a file
+   * @param {string} remotePath - Path to check
+   * @returns {Promise<Object>} Response data
+   */
+  async isFile(remotePath) {
+    try {
+      const data = await this.runWithRetry(`Verify (${this.backend.label})`, () => this.backend.isFile(remotePath));
 
       return {
         success: true,
-        message: 'Deleted successfully',
-        data: response.data
+        message: 'Path verified',
+        data: data
       };
     } catch (error) {
-      return this.handleError('Delete', error);
+      return this.handleError(`Verify (${this.backend.label})`, error);
     }
   }
 
   /**
-   * Rename a file or folder
-   * @param {string} oldPath - Current path
-   * @param {string} newPath - New path/name
-   * @returns {Promise<Object>} Response data
+   * Look up a single remote path
+   * The parent folder is listed and the entry picked out of it, so the answer
+   * has the same shape on every backend.
+   * @param {string} remotePath - File or folder to look up
+   * @returns {Promise<Object>} data: { exists, name, path, type, size, modified, permissions };
+   *   a missing path fails with errorType NOT_FOUND and data.exists === false
    */
-  async rename(oldPath, newPath) {
+  async stat(remotePath) {
+    const operation = `Stat (${this.backend.label})`;
+    const target = path.posix.join('/', remotePath).replace(/(.)\/+$/, '$1');
+
+    if (target === '/') {
+      return {
+        success: true,
+        message: 'Path found',
+        data: { exists: true, name: '/', path: '/', type: 'dir', size: null, modified: null, permissions: null }
+      };
+    }
+
+    const listing = await this.listFiles(path.posix.dirname(target));
+    const name = path.posix.basename(target);
+
+    if (!listing.success) {
+      return listing.errorType === 'NOT_FOUND'
+        ? { ...listing, operation: operation, data: { exists: false, path: target } }
+        : { ...listing, operation: operation };
+    }
+
+    const entry = listing.data.find((item) => item.name === name);
+    if (!entry) {
+      return {
+        ...this.handleError(operation, new NotFoundError(`Path not found: ${target}`, { status: 404 })),
+        data: { exists: false, path: target }
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Path found',
+      data: { exists: true, ...entry }
+    };
+  }
+
+  /**
+   * Walk a remote tree, breadth-first, built on listFiles()
+   * Yields listing entries as each folder is listed, with relativePath and
+   * depth (1 for direct children). A folder that can't be listed stops the
+   * walk: its typed error is thrown from the iterator.
+   * @param {string} remoteDir - Remote directory to walk
+   * @param {Object} options - Walk options
+   * @param {number} options.depth - Levels to descend (default: unlimited, 1 = direct children only)
+   * @returns {AsyncGenerator<Object>} Listing entries
+   */
+  async *walk(remoteDir = '/', options = {}) {
+    const maxDepth = options.depth ?? Infinity;
+    const pending = [{ dir: remoteDir, depth: 1 }];
+
+    while (pending.length) {
+      const { dir, depth } = pending.shift();
+      const listing = await this.listFiles(dir);
+
+      if (!listing.success) {
+        throw listing.error;
+      }
+
+      for (const entry of listing.data) {
+        yield { ...entry, relativePath: path.posix.relative(remoteDir, entry.path), depth: depth };
+        if (entry.type === 'dir' && depth < maxDepth) {
+          pending.push({ dir: entry.path, depth: depth + 1 });
+        }
+      }
+    }
+  }
+
+  /**
+   * Search a remote tree for files
+   * @param {string} remoteDir - Remote directory to search
+   * @param {Object} options - Search filters; all given filters must match
+   * @param {string|string[]} options.pattern - Glob patterns; without a slash they match the file name at any depth ("*.csv")
+   * @param {number} options.minSize - Minimum size in bytes
+   * @param {Date|string|number} options.modifiedSince - Only files modified at or after this time
+   * @param {number} options.depth - Levels to descend, as for walk()
+   * @returns {Promise<Object>} Matching file entries in `data`
+   */
+  async find(remoteDir = '/', options = {}) {
+    const operation = `Find (${this.backend.label})`;
+    const modifiedSince = options.modifiedSince ? new Date(options.modifiedSince) : null;
+
+    if (modifiedSince && Number.isNaN(modifiedSince.getTime())) {
+      return this.handleError(operation, new RequestError(`Invalid modifiedSince: ${options.modifiedSince}`));
+    }
+
+    const matches = [];
+
     try {
-      const axiosInstance = this.getAxiosInstance();
+      for await (const entry of this.walk(remoteDir, { depth: options.depth })) {
+        if (entry.type !== 'file') continue;
+        if (options.pattern && !matchesFilters(entry.relativePath, { include: options.pattern })) continue;
+        if (options.minSize !== undefined && !(entry.size >= options.minSize)) continue;
+        if (modifiedSince && !(entry.modified && entry.modified >= modifiedSince)) continue;
+        matches.push(entry);
+      }
+    } catch (error) {
+      return this.handleError(operation, error, { remoteDir });
+    }
 
-      const response = await axiosInstance.post('/api/rename', {
-        oldPath: oldPath,
-        newPath: newPath
-      });
+    return {
+      success: true,
+      message: `${matches.length} file(s) found under ${remoteDir}`,
+      data: matches
+    };
+  }
+
+  /**
+   * Create a queue for a batch of uploads and downloads
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Transfers in flight at once (default: config.concurrency, or 4)
+   * @returns {TransferQueue} Queue; add items, listen for progress events, then run()
+   */
+  createQueue(options = {}) {
+    return new TransferQueue(this, options);
+  }
+
+  /**
+   * Watch a local folder and upload the files dropped into it
+   * Each file is uploaded with uploadFile() once it has stopped changing, then
+   * moved to sent/ or failed/. See lib/folder-watcher.js.
+   * @param {string} localDir - Folder to watch (created if missing)
+   * @param {string} remoteDir - Remote destination folder
+   * @param {Object} options - Watch options, plus uploadFile() options such as compress
+   * @param {number} options.interval - Scan interval in ms (default: 2000)
+   * @param {number} options.stableMs - How long a file must stay unchanged before it is sent (default: 2000)
+   * @param {string|string[]} options.include - Glob patterns of files to upload
+   * @param {string|string[]} options.exclude - Glob patterns of files to leave alone
+   * @param {string} options.sentDir - Where sent files go (default: <localDir>/sent)
+   * @param {string} options.failedDir - Where files that failed to upload go (default: <localDir>/failed)
+   * @param {string} options.stateFile - Record of sent files (default: <localDir>/.mft-watch.json)
+   * @param {number} options.concurrency - Uploads in parallel (default: config.concurrency, or 4)
+   * @param {AbortSignal} options.signal - Stops the watcher
+   * @returns {FolderWatcher} Running watcher; listen for its events, stop() to end it.
+   *   Throws if the folders can't be created or the state file is damaged.
+   */
+  watch(localDir, remoteDir = '/', options = {}) {
+    return new FolderWatcher(this, localDir, remoteDir, options).start();
+  }
+
+  /**
+   * Poll a remote folder and download the files dropped into it
+   * New files are found with listFiles(), fetched with downloadFile() and then
+   * deleted or renamed into an archive folder. A local record makes sure each
+   * file is processed once, across restarts. See lib/inbox-poller.js.
+   * @param {string} remoteDir - Remote folder to poll
+   * @param {string} localDir - Local destination folder (created if missing)
+   * @param {Object} options - Poll options, plus downloadFile() options such as checksum or decrypt
+   * @param {number} options.interval - Poll interval in ms (default: 60000)
+   * @param {string|string[]} options.pattern - Glob patterns of file names to fetch (default: all files)
+   * @param {boolean} options.deleteAfterDownload - Delete each file from the server once downloaded
+   * @param {string} options.archiveTo - Remote folder to move each file into once downloaded (created if missing)
+   * @param {string} options.stateFile - Record of processed files (default: <localDir>/.mft-poll.json)
+   * @param {number} options.concurrency - Downloads in parallel (default: config.concurrency, or 4)
+   * @param {AbortSignal} options.signal - Stops the poller
+   * @returns {InboxPoller} Running poller; listen for its events, stop() to end it.
+   *   Throws on conflicting options, or if the folder can't be created or the state file is damaged.
+   */
+  poll(remoteDir, localDir, options = {}) {
+    return new InboxPoller(this, remoteDir, localDir, options).start();
+  }
 
+  /**
+   * Read the transfer journal, newest first
+   * @param {Object} filters - Journal filters (see lib/journal.js)
+   * @param {Date|string|number} filters.since - Only transfers at or after this time
+   * @param {Date|string|number} filters.until - Only transfers before this time
+   * @param {string|string[]} filters.environment - Environment keys (default: all)
+   * @param {string|string[]} filters.status - "success", "failed" or "cancelled"
+   * @param {string|string[]} filters.operation - "upload", "download", "delete" or "rename"
+   * @param {string} filters.path - Text that the local or remote path must contain
+   * @param {number} filters.limit - Most recent records to return
+   * @returns {Promise<Object>} Result with data: journal records
+   */
+  async history(filters = {}) {
+    try {
+      if (!this.journal) {
+        throw new RequestError('The transfer journal is turned off');
+      }
+
+      const records = await this.journal.query(filters);
       return {
         success: true,
-        message: 'Renamed successfully',
-        data: response.data
+        message: `${records.length} transfer(s) in ${this.journal.file}`,
+        data: records
       };
     } catch (error) {
-      return this.handleError('Rename', error);
+      return this.handleError('Transfer History', error, { filters });
     }
   }
 
   /**
-   * Check if path is a file
-   * @param {string} remotePath - Path to check
-   * @returns {Promise<Object>} Response data
+   * Upload a local directory tree
+   * Missing remote folders are created with createFolder(); files are sent
+   * through a transfer queue, a few at a time.
+   * @param {string} localDir - Local directory to upload
+   * @param {string} remoteDir - Remote destination directory
+   * @param {Object} options - Directory upload options
+   * @param {number} options.concurrency - Files transferred in parallel (default: config.concurrency, or 4)
+   * @param {string|string[]} options.include - Glob patterns of files to upload
+   * @param {string|string[]} options.exclude - Glob patterns of files to skip
+   * @param {boolean|string} options.compress - Passed through to uploadFile()
+   * @param {number} options.compressionLevel - Passed through to uploadFile()
+   * @param {Object} options.encrypt - Passed through to uploadFile()
+   * @param {boolean|string} options.checksum - Passed through to uploadFile()
+   * @param {Function} options.onProgress - Called with the queue's aggregate progress
+   * @param {AbortSignal} options.signal - Cancels the files not yet transferred
+   * @returns {Promise<Object>} Report with one entry per file
    */
-  async isFile(remotePath) {
+  async uploadDirectory(localDir, remoteDir = '/', options = {}) {
+    let files;
+    let format;
+    let encryption;
     try {
-      const axiosInstance = this.getAxiosInstance();
+      format = compressionFormat(options.compress);
+      encryption = encryptionSettings(options.encrypt, 'encrypt');
+      files = walkLocal(localDir).filter((file) => matchesFilters(file.relativePath, options));
+    } catch (error) {
+      return this.handleError('Upload Directory', error, { localDir, remoteDir });
+    }
 
-      const response = await axiosInstance.post('/api/isFile', {
-        path: remotePath
+    const report = { files: [], folders: [] };
+
+    report.folders = await this.ensureRemoteFolders(
+      files.map((file) => path.posix.dirname(path.posix.join(remoteDir, file.relativePath)))
+    );
+
+    const queue = this.createQueue({ concurrency: options.concurrency });
+
+    for (const file of files) {
+      queue.addUpload(file.localPath, path.posix.dirname(path.posix.join(remoteDir, file.relativePath)), {
+        compress: options.compress,
+        compressionLevel: options.compressionLevel,
+        encrypt: options.encrypt,
+        checksum: options.checksum
       });
+    }
+
+    const summary = await this.runQueue(queue, options);
+    report.files = summary.items.map((item) => ({
+      localPath: item.source,
+      remotePath: path.posix.join(item.destination, encryptedFileName(
+        format ? archiveFileName(path.basename(item.source), format) : path.basename(item.source),
+        encryption
+      )),
+      success: item.success,
+      message: item.message,
+      error: item.error
+    }));
+
+    return this.directoryReport('upload', report);
+  }
+
+  /**
+   * Download a remote directory tree
+   * @param {string} remoteDir - Remote directory to download
+   * @param {string} localDir - Local destination directory (created if missing)
+   * @param {Object} options - Directory download options
+   * @param {number} options.concurrency - Files transferred in parallel (default: config.concurrency, or 4)
+   * @param {string|string[]} options.include - Glob patterns of files to download
+   * @param {string|string[]} options.exclude - Glob patterns of files to skip
+   * @param {boolean|string} options.checksum - Passed through to downloadFile()
+   * @param {Function} options.onProgress - Called with the queue's aggregate progress
+   * @param {AbortSignal} options.signal - Cancels the files not yet transferred
+   * @returns {Promise<Object>} Report with one entry per file
+   */
+  async downloadDirectory(remoteDir, localDir, options = {}) {
+    const tree = await this.listRemoteTree(remoteDir);
+    const files = tree.files.filter((file) => matchesFilters(file.relativePath, options));
+    const report = { files: [], folders: tree.errors };
+
+    const queue = this.createQueue({ concurrency: options.concurrency });
+
+    for (const file of files) {
+      queue.addDownload(file.path, path.join(localDir, ...file.relativePath.split('/')), {
+        size: file.size,
+        checksum: options.checksum
+      });
+    }
+
+    const summary = await this.runQueue(queue, options);
+    report.files = summary.items.map((item) => ({
+      remotePath: item.source,
+      localPath: item.destination,
+      success: item.success,
+      message: item.message,
+      error: item.error
+    }));
+
+    return this.directoryReport('download', report);
+  }
+
+  /**
+   * One-way mirror between a local and a remote directory
+   * Files are compared by size and modification time; only missing or
+   * changed files are transferred.
+   * @param {string} localDir - Local directory
+   * @param {string} remoteDir - Remote directory
+   * @param {Object} options - Sync options
+   * @param {string} options.direction - "upload" (local → remote, default) or "download" (remote → local)
+   * @param {boolean} options.delete - Remove files on the destination that the source doesn't have
+   * @param {boolean} options.dryRun - Only return the plan
+   * @param {number} options.modifyWindow - Timestamp tolerance in ms (default: 2000)
+   * @param {number} options.concurrency - Files transferred in parallel (default: config.concurrency, or 4)
+   * @param {string|string[]} options.include - Glob patterns of files to sync
+   * @param {string|string[]} options.exclude - Glob patterns of files to leave alone
+   * @returns {Promise<Object>} Plan and per-action results
+   */
+  async sync(localDir, remoteDir, options = {}) {
+    const direction = options.direction || 'upload';
+
+    if (!['upload', 'download'].includes(direction)) {
+      return this.handleError('Sync', new RequestError(`Unknown sync direction "${direction}"`));
+    }
+
+    let localFiles;
+    let localDirs;
+    try {
+      fs.mkdirSync(localDir, { recursive: true });
+
+      localFiles = walkLocal(localDir)
+        .filter((file) => matchesFilters(file.relativePath, options))
+        .map((file) => {
+          const stats = fs.statSync(file.localPath);
+          return { ...file, size: stats.size, modified: stats.mtime };
+        });
+      localDirs = walkLocalDirs(localDir);
+    } catch (error) {
+      return this.handleError('Sync', error, { localDir, remoteDir });
+    }
+
+    const tree = await this.listRemoteTree(remoteDir);
+    if (tree.errors.length && tree.files.length === 0 && tree.dirs.length === 0 && direction === 'download') {
+      return this.handleError('Sync', tree.errors[0].error, { localDir, remoteDir });
+    }
+
+    const remoteFiles = tree.files.filter((file) => matchesFilters(file.relativePath, options));
+
+    const plan = planSync(localFiles, remoteFiles, {
+      direction: direction,
+      delete: options.delete,
+      modifyWindow: options.modifyWindow,
+      localDirs: localDirs,
+      remoteDirs: tree.dirs.map((dir) => dir.relativePath)
+    });
+
+    if (options.dryRun) {
+      this.logger.debug(`Sync plan (${direction}, dry run)`, { plan });
 
       return {
         success: true,
-        message: 'Path verified',
-        data: response.data
+        message: `Dry run: ${plan.length} action(s) planned`,
+        dryRun: true,
+        plan: plan,
+        results: []
       };
+    }
+
+    const report = { files: [], folders: [] };
+    const transfers = plan.filter((item) => item.action !== 'delete');
+    const deletions = plan.filter((item) => item.action === 'delete');
+
+    if (direction === 'upload') {
+      report.folders = await this.ensureRemoteFolders(
+        transfers.map((item) => path.posix.dirname(path.posix.join(remoteDir, item.relativePath)))
+      );
+    }
+
+    report.files = await mapWithConcurrency(transfers, options.concurrency || this.concurrency, async (item) => {
+      const localPath = path.join(localDir, ...item.relativePath.split('/'));
+      const remotePath = path.posix.join(remoteDir, item.relativePath);
+      let result;
+
+      if (item.action === 'upload') {
+        result = await this.uploadFile(localPath, path.posix.dirname(remotePath));
+      } else {
+        result = await this.makeLocalDir(path.dirname(localPath))
+          || await this.downloadFile(remotePath, localPath);
+        // Carry the remote timestamp over so the next run sees the file as unchanged
+        if (result.success && item.modified) {
+          fs.utimesSync(localPath, new Date(), item.modified);
+        }
+      }
+
+      return { ...item, localPath, remotePath, success: result.success, message: result.message, error: result.error };
+    });
+
+    for (const item of deletions) {
+      const localPath = path.join(localDir, ...item.relativePath.split('/'));
+      const remotePath = path.posix.join(remoteDir, item.relativePath);
+
+      if (direction === 'upload') {
+        const result = await this.delete(remotePath);
+        report.files.push({ ...item, remotePath, success: result.success, message: result.message, error: result.error });
+      } else {
+        try {
+          fs.rmSync(localPath, { recursive: true, force: true });
+          report.files.push({ ...item, localPath, success: true, message: 'Deleted locally' });
+        } catch (error) {
+          const typedError = toTypedError(error);
+          report.files.push({ ...item, localPath, success: false, message: typedError.message, error: typedError });
+        }
+      }
+    }
+
+    return {
+      ...this.directoryReport(direction, report),
+      message: `Sync (${direction}): ${report.files.filter((item) => item.success).length} of ${plan.length} action(s) done`,
+      plan: plan
+    };
+  }
+
+  /**
+   * Run a directory transfer queue
+   * Aborting options.signal cancels every item that hasn't finished.
+   */
+  async runQueue(queue, options) {
+    const cancel = () => queue.cancelAll();
+
+    if (options.onProgress) queue.on('progress', options.onProgress);
+    options.signal?.addEventListener('abort', cancel, { once: true });
+    if (options.signal?.aborted) cancel();
+
+    try {
+      return await queue.run();
+    } finally {
+      options.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Create remote folders that don't exist yet, parents first
+   * @param {string[]} folderPaths - Remote folders that must exist (duplicates allowed)
+   * @returns {Promise<Array<Object>>} One entry per folder that had to be created
+   */
+  async ensureRemoteFolders(folderPaths) {
+    const folders = new Set();
+    for (let folder of folderPaths) {
+      while (!folders.has(folder)) {
+        folders.add(folder);
+        if (folder === '/' || folder === '.') break;
+        folder = path.posix.dirname(folder);
+      }
+    }
+
+    const created = [];
+    const existing = new Set(['/', '.']);
+    const missingParents = new Set();
+
+    for (const folder of [...folders].sort((a, b) => a.split('/').length - b.split('/').length)) {
+      if (existing.has(folder)) continue;
+
+      const parent = path.posix.dirname(folder);
+      if (!missingParents.has(parent)) {
+        const listing = await this.listFiles(parent);
+        if (listing.success) {
+          const names = listing.data.filter((entry) => entry.type === 'dir').map((entry) => entry.name);
+          if (names.includes(path.posix.basename(folder))) {
+            existing.add(folder);
+            continue;
+          }
+        }
+      }
+
+      const result = await this.createFolder(folder);
+      created.push({ remotePath: folder, success: result.success, message: result.message });
+      existing.add(folder);
+      // Children of a folder we just created can't exist yet
+      missingParents.add(folder);
+    }
+
+    return created;
+  }
+
+  /**
+   * List every file and folder under a remote directory, breadth-first
+   * @param {string} remoteDir - Remote directory to walk
+   * @returns {Promise<Object>} { files, dirs, errors }; entries carry relativePath
+   */
+  async listRemoteTree(remoteDir) {
+    const tree = { files: [], dirs: [], errors: [] };
+    const pending = [remoteDir];
+
+    while (pending.length) {
+      const dir = pending.shift();
+      const listing = await this.listFiles(dir);
+
+      if (!listing.success) {
+        tree.errors.push({ remotePath: dir, success: false, message: listing.message, error: listing.error });
+        continue;
+      }
+
+      for (const entry of listing.data) {
+        const item = { ...entry, relativePath: path.posix.relative(remoteDir, entry.path) };
+        if (entry.type === 'dir') {
+          tree.dirs.push(item);
+          pending.push(entry.path);
+        } else {
+          tree.files.push(item);
+        }
+      }
+    }
+
+    return tree;
+  }
+
+  /**
+   * Create a local folder for a download
+   * @returns {Promise<Object|null>} Failure result, or null when the folder exists
+   */
+  async makeLocalDir(localDir) {
+    try {
+      fs.mkdirSync(localDir, { recursive: true });
+      return null;
+    } catch (error) {
+      return this.handleError('Create Local Folder', error, { localDir });
+    }
+  }
+
+  /**
+   * Summarize a directory transfer
+   */
+  directoryReport(direction, report) {
+    const failed = report.files.filter((file) => !file.success).length
+      + report.folders.filter((folder) => !folder.success).length;
+    const transferred = report.files.filter((file) => file.success).length;
+
+    return {
+      success: failed === 0,
+      message: `${transferred} file(s) ${direction}ed, ${failed} failure(s)`,
+      direction: direction,
+      transferred: transferred,
+      failed: failed,
+      folders: report.folders,
+      files: report.files
+    };
+  }
+
+  /**
+   * Turn a backend listing payload into normalized entries
+   * Backends may provide their own parseListing() for unusual formats.
+   */
+  parseListing(data, remotePath) {
+    if (typeof this.backend.parseListing === 'function') {
+      return this.backend.parseListing(data, remotePath);
+    }
+    return normalizeListing(data, remotePath);
+  }
+
+  /**
+   * Check an upload against the checksum the server reports, or publish a sidecar
+   * Without a server checksum and with checksums enabled, "<name>.<algorithm>"
+   * (sha256sum format) is uploaded next to the file for the receiver to check.
+   * @param {*} data - Upload response body
+   * @param {Object} digests - { sha256, md5 } of the bytes sent
+   * @param {string|null} algorithm - Sidecar algorithm, null for no sidecar
+   * @param {string} remoteDir - Remote folder the file went to
+   * @param {string} fileName - Remote file name
+   * @returns {Promise<Object>} { algorithm, value, verifiedBy: 'server' | null, sidecar: path | null }
+   */
+  async verifyUpload(data, digests, algorithm, remoteDir, fileName, options = {}) {
+    const reported = checksumFromResponse(data);
+
+    if (reported) {
+      const actual = digests[reported.algorithm];
+      if (actual !== reported.value) {
+        throw new IntegrityError(`${reported.algorithm} mismatch after uploading ${fileName}: server has ${reported.value}, sent ${actual}`, {
+          algorithm: reported.algorithm,
+          expected: actual,
+          actual: reported.value
+        });
+      }
+      return { algorithm: reported.algorithm, value: actual, verifiedBy: 'server', sidecar: null };
+    }
+
+    if (!algorithm) {
+      return { algorithm: 'sha256', value: digests.sha256, verifiedBy: null, sidecar: null };
+    }
+
+    const sidecarName = `${fileName}.${algorithm}`;
+    const content = Buffer.from(sidecarContent(digests[algorithm], fileName));
+
+    await this.runWithRetry(`Upload Checksum (${this.backend.label})`, () => this.backend.upload(Readable.from([content]), remoteDir, {
+      fileName: sidecarName,
+      knownLength: content.length,
+      signal: options.signal
+    }), options.retry, options.signal);
+
+    return { algorithm: algorithm, value: digests[algorithm], verifiedBy: null, sidecar: path.posix.join(remoteDir, sidecarName) };
+  }
+
+  /**
+   * Fetch the checksum sidecar of a remote file
+   * @returns {Promise<Object|null>} { algorithm, value, source: 'sidecar' }, or null when there is none
+   */
+  async readSidecar(remotePath, algorithm, options = {}) {
+    const sidecarPath = `${remotePath}.${algorithm}`;
+    let text = '';
+
+    try {
+      const download = await this.runWithRetry(`Download Checksum (${this.backend.label})`, () => {
+        return this.backend.download(sidecarPath, { signal: options.signal });
+      }, options.retry, options.signal);
+
+      for await (const chunk of download.stream) {
+        text += chunk;
+      }
     } catch (error) {
-      return this.handleError('Verify', error);
+      if (toTypedError(error) instanceof NotFoundError) {
+        this.logger.warn(`No checksum for ${remotePath}, download not verified`, { sidecar: sidecarPath });
+        return null;
+      }
+      throw error;
+    }
+
+    const value = parseSidecar(text);
+    if (!value) {
+      throw new IntegrityError(`Checksum sidecar ${sidecarPath} holds no ${algorithm} digest`, { algorithm: algorithm });
+    }
+    return { algorithm: algorithm, value: value, source: 'sidecar' };
+  }
+
+  /**
+   * Bandwidth limits for one transfer: the client-wide one plus the call's own
+   */
+  rateLimiters(options = {}) {
+    const limiters = this.rateLimiter ? [this.rateLimiter] : [];
+    if (options.maxBytesPerSecond) {
+      limiters.push(new RateLimiter(options.maxBytesPerSecond));
     }
+    return limiters;
+  }
+
+  /**
+   * Request timeout for sending a number of bytes
+   * Estimated from the slowest of 10 MB/s and the bandwidth limits, with a 2x
+   * buffer + 60s base and at least 5 minutes. The client-wide limit is shared,
+   * so it is assumed to be split across a full queue.
+   */
+  transferTimeout(bytes, options = {}) {
+    const rates = [10 * 1024 * 1024];
+    if (this.maxBytesPerSecond) rates.push(this.maxBytesPerSecond / this.concurrency);
+    if (options.maxBytesPerSecond) rates.push(options.maxBytesPerSecond);
+
+    const estimatedMs = (bytes / Math.min(...rates)) * 1000;
+    return Math.max(300000, estimatedMs * 2 + 60000);
+  }
+
+  /**
+   * Run an upload call, destroying its source streams if the signal aborts
+   * Aborting the request alone would leave the file handle open.
+   */
+  async withStreamAbort(streams, signal, fn) {
+    if (!signal) return fn();
+
+    const destroy = () => [].concat(streams).forEach((stream) => stream.destroy());
+    signal.addEventListener('abort', destroy, { once: true });
+    try {
+      return await fn();
+    } finally {
+      signal.removeEventListener('abort', destroy);
+    }
+  }
+
+  /**
+   * Run a backend call under the client's retry policy
+   * On a session error the backend's session is reset so the replay logs in again.
+   * @param {string} operation - Operation name for messages
+   * @param {Function} fn - async (attempt) => result; must start from scratch on every call
+   * @param {Object|boolean} overrides - Per-call retry policy overrides
+   * @param {AbortSignal} signal - Stops retrying once aborted
+   */
+  async runWithRetry(operation, fn, overrides, signal) {
+    const policy = resolveRetryPolicy(this.retryPolicy, overrides);
+    await this.ensureCredentials();
+
+    return withRetry(fn, policy, {
+      onRetry: (error, attempt, delayMs) => {
+        this.logger.warn(`${operation} failed, retrying`, {
+          reason: error.response?.status || error.status || error.code || error.message,
+          delayMs: delayMs,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts
+        });
+      },
+      onSessionExpired: typeof this.backend.resetSession === 'function'
+        ? async () => {
+          this.logger.info('Session expired, logging in again');
+          this.backend.resetSession();
+        }
+        : undefined,
+      signal: signal
+    });
+  }
+
+  /**
+   * Run an operation and append its outcome to the transfer journal
+   * A journal that can't be written is logged, never turned into a failed transfer.
+   * @param {string} operation - "upload", "download", "delete" or "rename"
+   * @param {Object} entry - Paths and size known before the operation runs
+   * @param {Function} run - Returns the operation's result
+   * @param {Function} details - Fields taken from a successful result, e.g. the final remote path
+   * @returns {Promise<Object>} The operation's result
+   */
+  async journaled(operation, entry, run, details = () => ({})) {
+    if (!this.journal) return run();
+
+    const startedAt = new Date();
+    const result = await run();
+
+    try {
+      this.journal.append({
+        timestamp: startedAt.toISOString(),
+        operation: operation,
+        environment: this.config.environment || null,
+        server: this.baseUrl,
+        user: this.auth.username || null,
+        localPath: null,
+        remotePath: null,
+        newPath: null,
+        size: null,
+        ...entry,
+        ...(result.success && details(result)),
+        checksum: result.checksum?.value ? { algorithm: result.checksum.algorithm, value: result.checksum.value } : null,
+        durationMs: Date.now() - startedAt.getTime(),
+        status: result.success ? 'success' : result.cancelled ? 'cancelled' : 'failed',
+        error: result.success ? null : { type: result.errorType, message: result.message }
+      });
+    } catch (error) {
+      this.logger.warn('Could not write to the transfer journal', { file: this.journal.file, message: error.message });
+    }
+
+    return result;
   }
 
   /**
    * Handle errors uniformly
+   * Turns any error into a failure result carrying a typed error (see lib/errors.js).
+   * The failure is logged at error level; request and response dumps only at debug level.
+   * Logged fields and the returned details are redacted (see lib/redact.js).
    */
   handleError(operation, error, requestInfo = null) {
-    console.error(`\n❌ ${operation} Error:`, error.message);
+    const typedError = toTypedError(error, this.redact(error.response?.data?.message || error.message));
+    // Errors that are already typed keep their message, which can quote a credential command's stderr
+    typedError.message = this.redact(typedError.message);
+    // The original error can carry credentials (axios config), so it isn't handed out
+    delete typedError.cause;
+
+    if (typedError instanceof CancelledError) {
+      // Cancelling is the caller's choice, not a failure worth an error line
+      this.logger.info(`${operation} cancelled`);
+      return {
+        success: false,
+        cancelled: true,
+        operation: operation,
+        message: `${operation} cancelled`,
+        errorType: typedError.code,
+        error: typedError,
+        requestInfo: this.redact(requestInfo)
+      };
+    }
+
+    this.logger.error(`${operation} failed`, {
+      message: error.message,
+      status: error.response?.status ?? error.status
+    });
 
     if (requestInfo) {
-      console.error('\n🔍 REQUEST THAT FAILED:');
-      console.error('━'.repeat(60));
-      console.error(JSON.stringify(requestInfo, null, 2));
-      console.error('━'.repeat(60));
+      this.logger.debug('Request that failed', requestInfo);
     }
 
     if (error.config) {
-      console.error('\n📤 AXIOS REQUEST CONFIG:');
-      console.error('━'.repeat(60));
-      console.error('URL:', error.config.url);
-      console.error('Method:', error.config.method?.toUpperCase());
-      console.error('Headers:', JSON.stringify(error.config.headers, null, 2));
-      if (error.config.data) {
-        console.error('Data Type:', typeof error.config.data);
-        if (typeof error.config.data === 'string') {
-          console.error('Data:', error.config.data.substring(0, 500));
-        }
-      }
-      console.error('━'.repeat(60));
+      this.logger.debug('Axios request config', {
+        url: error.config.url,
+        method: error.config.method?.toUpperCase(),
+        headers: error.config.headers,
+        dataType: error.config.data ? typeof error.config.data : undefined,
+        data: typeof error.config.data === 'string' ? error.config.data.substring(0, 500) : undefined
+      });
     }
 
     if (error.response) {
-      console.error('\n📥 SERVER RESPONSE:');
-      console.error('━'.repeat(60));
-      console.error('Status:', error.response.status, error.response.statusText);
-      console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('Data:', JSON.stringify(error.response.data, null, 2));
-      console.error('━'.repeat(60) + '\n');
+      this.logger.debug('Server response', {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        headers: error.response.headers,
+        data: error.response.data
+      });
     }
 
     return {
       success: false,
       operation: operation,
-      message: error.response?.data?.message || error.message,
-      status: error.response?.status,
+      message: typedError.message,
+      errorType: typedError.code,
+      error: typedError,
+      status: typedError.status,
       statusText: error.response?.statusText,
-      details: error.response?.data,
-      requestInfo: requestInfo
+      details: this.redact(error.response?.data),
+      requestInfo: this.redact(requestInfo)
     };
   }
 }
 
+function localFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return null;
+  }
+}
+
 export default ActiveTransferClient;
+export {
+  ActiveTransferError,
+  AuthError,
+  PermissionError,
+  NotFoundError,
+  NetworkError,
+  TimeoutError,
+  ServerError,
+  RequestError,
+  IntegrityError,
+  CancelledError
+} from './lib/errors.js';
@@ -1,4 +1,11 @@
 import ActiveTransferClient from './client.js';
+import { copyBetween } from './lib/copy.js';
+import { loadConfig, environmentConfig } from './lib/config.js';
+import { createConsoleLogger } from './lib/logger.js';
+import { createProgressPrinter, createBatchProgressPrinter } from './lib/console-progress.js';
+import { formatListing, formatBytes, describeChecksum, formatHistory } from './lib/format.js';
+import { formatFromName } from './lib/compression.js';
+import { createCredentialProvider } from './lib/credentials.js';
 import inquirer from 'inquirer';
 import fs from 'fs';
 import path from 'path';
@@ -11,10 +18,12 @@ const __dirname = path.dirname(__filename);
 let fullConfig;
 let selectedEnvironment;
 let client;
+let credentialStatus;
+// One client per environment, kept when switching so each password is asked for once
+const clients = new Map();
 
 try {
-  const configData = fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8');
-  fullConfig = JSON.parse(configData);
+  fullConfig = loadConfig(path.join(__dirname, 'config.json'));
 } catch (error) {
   console.error('Error loading config.json:', error.message);
   console.error('Please ensure config.json exists and is valid JSON');
@@ -41,19 +50,45 @@ async function selectEnvironment() {
   ]);
 
   selectedEnvironment = environment;
-  const envConfig = fullConfig.environments[environment];
 
-  // Create config object with the selected environment
-  const config = {
-    server: envConfig.server,
-    auth: envConfig.auth,
-    defaults: fullConfig.defaults
-  };
+  client = clientFor(environment);
+
+  // Ask for the password (auth.source "prompt") or check the other sources now, not at the first request
+  credentialStatus = await client.loadCredentials();
 
-  // Initialize client with selected environment
-  client = new ActiveTransferClient(config);
+  return client.config;
+}
 
-  return config;
+/**
+ * Client for an environment, created on first use
+ */
+function clientFor(environment) {
+  if (!clients.has(environment)) {
+    const config = environmentConfig(fullConfig, environment);
+    clients.set(environment, new ActiveTransferClient(config, {
+      // Set "logLevel": "debug" in config.json for request/response dumps
+      logger: createConsoleLogger({ level: fullConfig.logLevel || 'info', stream: process.stdout }),
+      credentials: createCredentialProvider(config, { prompt: promptPassword }),
+      journal: config.journal ?? true
+    }));
+  }
+  return clients.get(environment);
+}
+
+/**
+ * Ask for the password of an environment at startup
+ */
+async function promptPassword({ environment, username }) {
+  const { password } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: `🔑 Password for ${username || 'user'} (${environment}):`,
+      mask: '*',
+      validate: (input) => input ? true : 'Please enter the password'
+    }
+  ]);
+  return password;
 }
 
 // Display banner
@@ -64,18 +99,33 @@ function displayBanner(config) {
   console.log('╚════════════════════════════════════════════════════════╝');
   console.log(`\n🌍 Environment: ${fullConfig.environments[selectedEnvironment].name}`);
   console.log(`🌐 Server: ${config.server.host}:${config.server.port}`);
-  console.log(`👤 User: ${config.auth.username}\n`);
+  console.log(`👤 User: ${client.auth.username || config.auth?.username} (${client.credentials.name})`);
+  if (!credentialStatus.success) {
+    console.log('⚠️  No credentials:', credentialStatus.message);
+  }
+  if (config.maxBytesPerSecond) {
+    console.log(`🚦 Bandwidth limit: ${formatBytes(config.maxBytesPerSecond)}/s`);
+  }
+  console.log();
 }
 
 // Main menu options
 const mainMenuChoices = [
-  { name: '📤 Upload File', value: 'upload' },
+  { name: '📤 Upload File/Folder', value: 'upload' },
+  { name: '⏯️  Resume Upload', value: 'resumeUpload' },
   { name: '📥 Download File', value: 'download' },
+  { name: '📂 Download Folder', value: 'downloadFolder' },
+  { name: '🔁 Sync Folder', value: 'sync' },
+  { name: '🚚 Copy Between Environments', value: 'copy' },
+  { name: '👀 Watch Folder', value: 'watch' },
+  { name: '📬 Poll Inbox', value: 'poll' },
   { name: '📋 List Files', value: 'list' },
   { name: '📁 Create Folder', value: 'createFolder' },
   { name: '🗑️  Delete File/Folder', value: 'delete' },
   { name: '✏️  Rename File/Folder', value: 'rename' },
-  { name: '🔍 Check if Path is File', value: 'isFile' },
+  { name: '🔍 Path Info', value: 'stat' },
+  { name: '🔎 Find Files', value: 'find' },
+  { name: '📜 Transfer History', value: 'history' },
   { name: '🔄 Switch Environment', value: 'switchEnv' },
   { name: '❌ Exit', value: 'exit' }
 ];
@@ -88,11 +138,12 @@ async function uploadWorkflow() {
     {
       type: 'input',
       name: 'localPath',
-      message: 'Enter local file path to upload:',
+      message: 'Enter local file or folder path to upload:',
       validate: (input) => {
         if (!input) return 'Please provide a file path';
         if (!fs.existsSync(input)) return 'File does not exist';
-        if (!fs.statSync(input).isFile()) return 'Path must be a file';
+        const stats = fs.statSync(input);
+        if (!stats.isFile() && !stats.isDirectory()) return 'Path must be a file or folder';
         return true;
       }
     },
@@ -103,30 +154,191 @@ async function uploadWorkflow() {
       default: '/'
     },
     {
-      type: 'confirm',
+      type: 'list',
       name: 'compress',
-      message: 'Compress file to ZIP before uploading?',
+      message: 'Compress before uploading?',
+      choices: [
+        { name: 'No', value: false },
+        { name: 'ZIP (.zip)', value: 'zip' },
+        { name: 'tar.gz (.tar.gz)', value: 'tar.gz' },
+        { name: 'gzip (.gz)', value: 'gzip' }
+      ],
+      default: false
+    },
+    {
+      type: 'number',
+      name: 'compressionLevel',
+      message: 'Compression level (0 = store, 9 = smallest):',
+      default: 9,
+      when: (answers) => answers.compress,
+      validate: (input) => Number.isInteger(input) && input >= 0 && input <= 9 ? true : 'Enter a number from 0 to 9'
+    },
+    {
+      type: 'confirm',
+      name: 'archive',
+      message: 'Upload the folder as a single archive?',
+      default: true,
+      when: (answers) => isDirectory(answers.localPath) && answers.compress && answers.compress !== 'gzip'
+    },
+    {
+      type: 'list',
+      name: 'encryption',
+      message: 'Encrypt before uploading?',
+      choices: [
+        { name: 'No', value: false },
+        { name: 'AES-256-GCM with a key file (.enc)', value: 'aes-256-gcm' },
+        { name: 'OpenPGP with a public key (.pgp)', value: 'pgp' }
+      ],
       default: false
+    },
+    {
+      type: 'input',
+      name: 'keyFile',
+      message: (answers) => answers.encryption === 'pgp' ? 'Public key file:' : 'Key file (32 bytes, hex or base64):',
+      when: (answers) => answers.encryption,
+      validate: (input) => fs.existsSync(input) ? true : 'Key file does not exist'
+    },
+    {
+      type: 'confirm',
+      name: 'chunked',
+      message: 'Upload in resumable chunks?',
+      default: false,
+      when: (answers) => !answers.compress && !answers.encryption && !isDirectory(answers.localPath)
+    },
+    {
+      type: 'confirm',
+      name: 'checksum',
+      message: 'Upload a SHA-256 checksum file when the server reports no checksum?',
+      default: Boolean(client.config.checksum)
+    },
+    {
+      type: 'input',
+      name: 'include',
+      message: 'Include patterns, comma separated (default: all files):',
+      when: (answers) => isDirectory(answers.localPath)
+    },
+    {
+      type: 'input',
+      name: 'exclude',
+      message: 'Exclude patterns, comma separated (default: none):',
+      when: (answers) => isDirectory(answers.localPath)
     }
   ]);
 
-  console.log('\n⏳ Uploading file...');
-  const result = await client.uploadFile(answers.localPath, answers.remotePath, {
-    compress: answers.compress
-  });
+  if (answers.archive) {
+    console.log('\n⏳ Archiving and uploading folder... (Ctrl+C to cancel)');
+    const progress = createProgressPrinter('📤 Upload progress');
+    const result = await cancellable((signal) => client.uploadArchive(answers.localPath, answers.remotePath, {
+      format: answers.compress,
+      compressionLevel: answers.compressionLevel,
+      encrypt: encryptOption(answers),
+      checksum: answers.checksum,
+      include: splitPatterns(answers.include),
+      exclude: splitPatterns(answers.exclude),
+      onProgress: progress.onProgress,
+      signal: signal
+    }), progress);
 
-  if (result.success) {
+    if (result.cancelled) {
+      console.log('🛑 Upload cancelled');
+    } else if (result.success) {
+      console.log('✅', result.message);
+      console.log('📦 Archive:', result.remotePath);
+      printChecksum(result.checksum);
+    } else {
+      console.log('❌ Upload failed:', result.message);
+    }
+    return;
+  }
+
+  if (isDirectory(answers.localPath)) {
+    console.log('\n⏳ Uploading folder... (Ctrl+C to cancel)');
+    const progress = createBatchProgressPrinter('📤 Uploading');
+    const result = await cancellable((signal) => client.uploadDirectory(answers.localPath, answers.remotePath, {
+      compress: answers.compress,
+      compressionLevel: answers.compressionLevel,
+      encrypt: encryptOption(answers),
+      checksum: answers.checksum,
+      include: splitPatterns(answers.include),
+      exclude: splitPatterns(answers.exclude),
+      onProgress: progress.onProgress,
+      signal: signal
+    }), progress);
+    printDirectoryReport(result);
+    return;
+  }
+
+  console.log('\n⏳ Uploading file... (Ctrl+C to cancel)');
+  const progress = createProgressPrinter('📤 Upload progress');
+  const result = await cancellable((signal) => client.uploadFile(answers.localPath, answers.remotePath, {
+    compress: answers.compress,
+    compressionLevel: answers.compressionLevel,
+    encrypt: encryptOption(answers),
+    chunked: answers.chunked,
+    checksum: answers.checksum,
+    onProgress: progress.onProgress,
+    signal: signal
+  }), progress);
+
+  if (result.cancelled) {
+    console.log('🛑 Upload cancelled');
+    if (result.stateFile) {
+      console.log('⏯️  Progress saved to:', result.stateFile);
+      console.log('   Use "Resume Upload" to continue');
+    }
+  } else if (result.success) {
     console.log('✅', result.message);
-    if (answers.compress) {
-      console.log('📦 File was compressed and uploaded as:', path.basename(answers.localPath) + '.zip');
-      console.log('⚠️  Remember to configure MFT post-action to unzip the file');
+    if (answers.compress || answers.encryption) {
+      console.log('📦 Uploaded as:', result.fileName);
     }
+    printChecksum(result.checksum);
     console.log('📊 Response:', JSON.stringify(result.data, null, 2));
   } else {
     console.log('❌ Upload failed:', result.message);
     if (result.details) {
       console.log('Details:', JSON.stringify(result.details, null, 2));
     }
+    if (result.stateFile) {
+      console.log('⏯️  Progress saved to:', result.stateFile);
+      console.log('   Use "Resume Upload" to continue');
+    }
+  }
+}
+
+/**
+ * Resume upload workflow
+ */
+async function resumeUploadWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'stateFile',
+      message: 'Enter upload state file path:',
+      validate: (input) => {
+        if (!input) return 'Please provide a state file path';
+        if (!fs.existsSync(input)) return 'State file does not exist';
+        return true;
+      }
+    }
+  ]);
+
+  console.log('\n⏳ Resuming upload... (Ctrl+C to cancel)');
+  const progress = createProgressPrinter('📤 Upload progress');
+  const result = await cancellable((signal) => client.resumeUpload(answers.stateFile, {
+    onProgress: progress.onProgress,
+    signal: signal
+  }), progress);
+
+  if (result.cancelled) {
+    console.log('🛑 Upload cancelled, progress saved to:', result.stateFile);
+  } else if (result.success) {
+    console.log('✅', result.message);
+    console.log('📊 Response:', JSON.stringify(result.data, null, 2));
+  } else {
+    console.log('❌ Resume failed:', result.message);
+    if (result.stateFile) {
+      console.log('⏯️  Progress saved to:', result.stateFile);
+    }
   }
 }
 
@@ -151,20 +363,499 @@ async function downloadWorkflow() {
         if (!fs.existsSync(dir)) return 'Destination directory does not exist';
         return true;
       }
+    },
+    {
+      type: 'confirm',
+      name: 'checksum',
+      message: 'Check against a SHA-256 checksum file when the server sends no checksum?',
+      default: Boolean(client.config.checksum)
+    },
+    {
+      type: 'input',
+      name: 'keyFile',
+      message: (answers) => isPgp(answers.remotePath) ? 'Private key file to decrypt with:' : 'Key file to decrypt with:',
+      when: (answers) => ENCRYPTED_NAME.test(answers.remotePath),
+      validate: (input) => fs.existsSync(input) ? true : 'Key file does not exist'
+    },
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Private key passphrase (empty if none):',
+      mask: '*',
+      when: (answers) => isPgp(answers.remotePath)
+    },
+    {
+      type: 'confirm',
+      name: 'decompress',
+      message: 'Extract the archive after downloading?',
+      default: true,
+      when: (answers) => formatFromName(answers.remotePath.replace(ENCRYPTED_NAME, '')) !== null
     }
   ]);
 
-  console.log('\n⏳ Downloading file...');
-  const result = await client.downloadFile(answers.remotePath, answers.localPath);
+  console.log('\n⏳ Downloading file... (Ctrl+C to cancel)');
+  const progress = createProgressPrinter('📥 Download progress');
+  const result = await cancellable((signal) => client.downloadFile(answers.remotePath, answers.localPath, {
+    checksum: answers.checksum,
+    decompress: answers.decompress,
+    decrypt: answers.keyFile && (isPgp(answers.remotePath)
+      ? { privateKeyFile: answers.keyFile, passphrase: answers.passphrase || undefined }
+      : { keyFile: answers.keyFile }),
+    onProgress: progress.onProgress,
+    signal: signal
+  }), progress);
 
-  if (result.success) {
+  if (result.cancelled) {
+    console.log('🛑 Download cancelled');
+    if (result.partPath) {
+      console.log('⏯️  Partial file kept at:', result.partPath);
+      console.log('   Download again to the same path to resume');
+    }
+  } else if (result.success) {
     console.log('✅', result.message);
     console.log('📁 Saved to:', result.localPath);
+    console.log(`📊 ${(result.bytes / 1024 / 1024).toFixed(2)} MB in ${(result.elapsedMs / 1000).toFixed(1)} s`);
+    if (result.resumedFrom) {
+      console.log(`⏯️  Resumed from ${(result.resumedFrom / 1024 / 1024).toFixed(2)} MB`);
+    }
+    printChecksum(result.checksum);
+    if (result.decrypted) {
+      console.log(`🔓 Decrypted (${result.decrypted.type})`);
+    }
+    if (result.extracted) {
+      console.log(`📦 Extracted ${result.extracted.files.length} file(s) to:`, result.extracted.to);
+    }
+  } else if (result.errorType === 'INTEGRITY') {
+    console.log('🚨 Integrity check failed:', result.message);
+    console.log('   The damaged download was discarded');
   } else {
     console.log('❌ Download failed:', result.message);
+    if (result.partPath) {
+      console.log('⏯️  Partial file kept at:', result.partPath);
+      console.log('   Download again to the same path to resume');
+    }
+  }
+}
+
+/**
+ * Download folder workflow
+ */
+async function downloadFolderWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'remotePath',
+      message: 'Enter remote folder path to download:',
+      validate: (input) => input ? true : 'Please provide a remote path'
+    },
+    {
+      type: 'input',
+      name: 'localPath',
+      message: 'Enter local destination folder:',
+      validate: (input) => input ? true : 'Please provide a destination folder'
+    },
+    {
+      type: 'input',
+      name: 'include',
+      message: 'Include patterns, comma separated (default: all files):'
+    },
+    {
+      type: 'input',
+      name: 'exclude',
+      message: 'Exclude patterns, comma separated (default: none):'
+    }
+  ]);
+
+  console.log('\n⏳ Downloading folder... (Ctrl+C to cancel)');
+  const progress = createBatchProgressPrinter('📥 Downloading');
+  const result = await cancellable((signal) => client.downloadDirectory(answers.remotePath, answers.localPath, {
+    include: splitPatterns(answers.include),
+    exclude: splitPatterns(answers.exclude),
+    onProgress: progress.onProgress,
+    signal: signal
+  }), progress);
+  printDirectoryReport(result);
+}
+
+/**
+ * Sync folder workflow
+ */
+async function syncWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'localPath',
+      message: 'Enter local folder:',
+      validate: (input) => input ? true : 'Please provide a local folder'
+    },
+    {
+      type: 'input',
+      name: 'remotePath',
+      message: 'Enter remote folder:',
+      validate: (input) => input ? true : 'Please provide a remote folder'
+    },
+    {
+      type: 'list',
+      name: 'direction',
+      message: 'Sync direction:',
+      choices: [
+        { name: 'Local → Remote (upload)', value: 'upload' },
+        { name: 'Remote → Local (download)', value: 'download' }
+      ]
+    },
+    {
+      type: 'confirm',
+      name: 'delete',
+      message: 'Delete files on the destination that are missing from the source?',
+      default: false
+    },
+    {
+      type: 'confirm',
+      name: 'dryRun',
+      message: 'Dry run (only show the plan)?',
+      default: true
+    }
+  ]);
+
+  console.log('\n⏳ Comparing folders...');
+  const result = await client.sync(answers.localPath, answers.remotePath, {
+    direction: answers.direction,
+    delete: answers.delete,
+    dryRun: answers.dryRun
+  });
+
+  if (result.dryRun) {
+    console.log('✅', result.message);
+    printSyncPlan(result.plan);
+    return;
+  }
+
+  printDirectoryReport(result);
+}
+
+/**
+ * Copy workflow: stream files from one environment's server to another's, e.g. to promote a release
+ */
+async function copyWorkflow() {
+  const environments = Object.keys(fullConfig.environments).map((key) => ({
+    name: `${fullConfig.environments[key].name} (${key})`,
+    value: key
+  }));
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'source',
+      message: 'Copy from environment:',
+      choices: environments,
+      default: selectedEnvironment
+    },
+    {
+      type: 'input',
+      name: 'sourcePath',
+      message: 'Remote file or folder to copy:',
+      validate: (input) => input ? true : 'Please provide a remote path'
+    },
+    {
+      type: 'confirm',
+      name: 'recursive',
+      message: 'Copy the whole folder (recursive)?',
+      default: false
+    },
+    {
+      type: 'input',
+      name: 'include',
+      message: 'Include patterns, comma separated (default: all files):',
+      when: (answers) => answers.recursive
+    },
+    {
+      type: 'input',
+      name: 'exclude',
+      message: 'Exclude patterns, comma separated (default: none):',
+      when: (answers) => answers.recursive
+    },
+    {
+      type: 'list',
+      name: 'destination',
+      message: 'Copy to environment:',
+      choices: environments,
+      default: (answers) => environments.find((env) => env.value !== answers.source)?.value
+    },
+    {
+      type: 'input',
+      name: 'destinationPath',
+      message: 'Destination folder:',
+      default: '/'
+    }
+  ]);
+
+  const source = clientFor(answers.source);
+  const destination = clientFor(answers.destination);
+  for (const environmentClient of new Set([source, destination])) {
+    const status = await environmentClient.loadCredentials();
+    if (!status.success) {
+      console.log(`❌ No credentials for ${environmentClient.config.environment}:`, status.message);
+      return;
+    }
+  }
+
+  console.log(`\n⏳ Copying ${answers.source}:${answers.sourcePath} → ${answers.destination}:${answers.destinationPath} (Ctrl+C to cancel)`);
+  const progress = createProgressPrinter('🚚 Copying');
+  const result = await cancellable((signal) => copyBetween(source, answers.sourcePath, destination, answers.destinationPath, {
+    recursive: answers.recursive,
+    include: splitPatterns(answers.include),
+    exclude: splitPatterns(answers.exclude),
+    onProgress: progress.onProgress,
+    signal: signal
+  }), progress);
+
+  if (!answers.recursive) {
+    console.log(result.success ? '✅' : result.cancelled ? '🛑' : '❌', result.message);
+    printChecksum(result.checksum);
+    return;
+  }
+
+  console.log(result.success ? '✅' : '⚠️ ', result.message);
+  for (const folder of result.folders.filter((item) => !item.success)) {
+    console.log(`  ❌ ${folder.remotePath}: ${folder.message}`);
+  }
+  for (const file of result.files) {
+    console.log(`  ${file.success ? '✅' : '❌'} ${file.sourcePath} → ${file.destinationPath}${file.success ? '' : ': ' + file.message}`);
+  }
+}
+
+/**
+ * Watch folder workflow: upload whatever is dropped into a local folder until Ctrl+C
+ */
+async function watchWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'localPath',
+      message: 'Local folder to watch (created if missing):',
+      default: './outbox'
+    },
+    {
+      type: 'input',
+      name: 'remotePath',
+      message: 'Remote destination folder:',
+      default: '/uploads'
+    },
+    {
+      type: 'list',
+      name: 'compress',
+      message: 'Compress before uploading?',
+      choices: [
+        { name: 'No', value: false },
+        { name: 'ZIP (.zip)', value: 'zip' },
+        { name: 'gzip (.gz)', value: 'gzip' }
+      ],
+      default: false
+    },
+    {
+      type: 'number',
+      name: 'stableSeconds',
+      message: 'Seconds a file must stay unchanged before it is sent:',
+      default: 2,
+      validate: (input) => input >= 0 ? true : 'Enter 0 or more seconds'
+    }
+  ]);
+
+  let watcher;
+  try {
+    watcher = client.watch(answers.localPath, answers.remotePath, {
+      compress: answers.compress,
+      stableMs: answers.stableSeconds * 1000
+    });
+  } catch (error) {
+    console.log('❌ Cannot watch folder:', error.message);
+    return;
+  }
+
+  watcher.on('detected', (file) => console.log(`🆕 ${file.name} (${formatBytes(file.size)}), waiting until it stops changing`));
+  watcher.on('uploading', (file) => console.log(`📤 Uploading ${file.name}...`));
+  watcher.on('sent', (file) => console.log(`✅ ${file.name} → ${file.remotePath}`));
+  watcher.on('failed', (file) => console.log(`❌ ${file.name}: ${file.result.message} (moved to ${path.relative(answers.localPath, path.dirname(file.localPath))}/)`));
+  watcher.on('error', (error) => console.log('⚠️ ', error.message));
+
+  console.log(`\n👀 Watching ${path.resolve(answers.localPath)} → ${answers.remotePath} (Ctrl+C to stop)`);
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+
+  console.log('🛑 Stopping...');
+  const counts = await watcher.stop();
+  console.log(`✅ Watch stopped: ${counts.sent} sent, ${counts.failed} failed`);
+}
+
+/**
+ * Inbox poller workflow: download what partners drop into a remote folder until Ctrl+C
+ */
+async function pollWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'remotePath',
+      message: 'Remote folder to poll:',
+      default: '/inbox'
+    },
+    {
+      type: 'input',
+      name: 'localPath',
+      message: 'Local destination folder (created if missing):',
+      default: './inbox'
+    },
+    {
+      type: 'input',
+      name: 'pattern',
+      message: 'File name patterns, comma separated (default: all files):'
+    },
+    {
+      type: 'list',
+      name: 'afterDownload',
+      message: 'After downloading a file:',
+      choices: [
+        { name: 'Leave it on the server', value: 'keep' },
+        { name: 'Delete it from the server', value: 'delete' },
+        { name: 'Move it to an archive folder', value: 'archive' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'archiveTo',
+      message: 'Remote archive folder:',
+      default: (answers) => path.posix.join(answers.remotePath, 'archive'),
+      when: (answers) => answers.afterDownload === 'archive'
+    },
+    {
+      type: 'number',
+      name: 'intervalSeconds',
+      message: 'Seconds between polls:',
+      default: 30,
+      validate: (input) => input > 0 ? true : 'Enter a positive number of seconds'
+    }
+  ]);
+
+  let poller;
+  try {
+    poller = client.poll(answers.remotePath, answers.localPath, {
+      interval: answers.intervalSeconds * 1000,
+      pattern: splitPatterns(answers.pattern),
+      deleteAfterDownload: answers.afterDownload === 'delete',
+      archiveTo: answers.archiveTo
+    });
+  } catch (error) {
+    console.log('❌ Cannot poll inbox:', error.message);
+    return;
+  }
+
+  poller.on('found', (file) => console.log(`🆕 ${file.remotePath} (${formatBytes(file.size)})`));
+  poller.on('downloaded', (file) => console.log(`📥 ${file.remotePath} → ${file.localPath}`));
+  poller.on('processed', (file) => {
+    if (file.deleted) console.log(`🗑️  Deleted ${file.remotePath}`);
+    if (file.archivedTo) console.log(`📦 Archived to ${file.archivedTo}`);
+  });
+  poller.on('failed', (file) => console.log(`❌ ${file.remotePath} (${file.stage}): ${file.result.message}`));
+  poller.on('error', (error) => console.log('⚠️ ', error.message));
+
+  console.log(`\n📬 Polling ${answers.remotePath} every ${answers.intervalSeconds}s → ${path.resolve(answers.localPath)} (Ctrl+C to stop)`);
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+
+  console.log('🛑 Stopping...');
+  const counts = await poller.stop();
+  console.log(`✅ Polling stopped: ${counts.downloaded} downloaded, ${counts.failed} failed`);
+}
+
+/**
+ * Print the actions a sync would take
+ */
+function printSyncPlan(plan) {
+  console.log('\n📝 Sync plan:');
+  console.log('━'.repeat(60));
+  for (const item of plan) {
+    console.log(`${item.action.padEnd(8)} ${item.relativePath}  (${item.reason})`);
+  }
+  if (!plan.length) console.log('Nothing to do, already in sync');
+  console.log('━'.repeat(60));
+}
+
+/**
+ * Print the per-file report of a folder transfer
+ */
+function printDirectoryReport(result) {
+  if (!result.files) {
+    console.log('❌ Failed:', result.message);
+    return;
+  }
+
+  console.log(result.success ? '✅' : '⚠️ ', result.message);
+
+  for (const folder of result.folders.filter((item) => !item.success)) {
+    console.log(`  ❌ ${folder.remotePath}: ${folder.message}`);
+  }
+  for (const file of result.files) {
+    if (file.action === 'delete') {
+      console.log(`  ${file.success ? '🗑️ ' : '❌'} ${file.relativePath}${file.success ? '' : ': ' + file.message}`);
+      continue;
+    }
+    const target = result.direction === 'upload'
+      ? `${file.localPath} → ${file.remotePath}`
+      : `${file.remotePath} → ${file.localPath}`;
+    console.log(`  ${file.success ? '✅' : '❌'} ${target}${file.success ? '' : ': ' + file.message}`);
   }
 }
 
+/**
+ * Run a transfer that Ctrl+C cancels instead of ending the demo
+ * @param {Function} run - (signal) => Promise of a client result
+ * @param {Object} progress - Progress printer to finish once the transfer ends
+ */
+async function cancellable(run, progress) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    progress.done();
+    console.log('🛑 Cancelling...');
+    controller.abort();
+  };
+
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await run(controller.signal);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+    progress.done();
+  }
+}
+
+const ENCRYPTED_NAME = /\.(enc|pgp)$/i;
+
+function isPgp(remotePath) {
+  return remotePath.toLowerCase().endsWith('.pgp');
+}
+
+/**
+ * encrypt option from the upload answers
+ */
+function encryptOption(answers) {
+  if (!answers.encryption) return undefined;
+  return answers.encryption === 'pgp'
+    ? { publicKeyFile: answers.keyFile }
+    : { type: answers.encryption, keyFile: answers.keyFile };
+}
+
+/**
+ * Print how a transfer's checksum was checked
+ */
+function printChecksum(checksum) {
+  if (checksum) console.log('🔐', describeChecksum(checksum));
+}
+
+function isDirectory(localPath) {
+  return fs.existsSync(localPath) && fs.statSync(localPath).isDirectory();
+}
+
+function splitPatterns(input) {
+  return (input || '').split(',').map((pattern) => pattern.trim()).filter(Boolean);
+}
+
 /**
  * List files workflow
  */
@@ -183,8 +874,8 @@ async function listFilesWorkflow() {
 
   if (result.success) {
     console.log('✅', result.message);
-    console.log('\n📂 Files and Folders:');
-    console.log(JSON.stringify(result.data, null, 2));
+    console.log(`\n📂 Files and Folders in ${answers.remotePath}:\n`);
+    console.log(formatListing(result.data));
   } else {
     console.log('❌ List failed:', result.message);
   }
@@ -280,9 +971,9 @@ async function renameWorkflow() {
 }
 
 /**
- * Check if file workflow
+ * Path info workflow
  */
-async function isFileWorkflow() {
+async function statWorkflow() {
   const answers = await inquirer.prompt([
     {
       type: 'input',
@@ -293,19 +984,136 @@ async function isFileWorkflow() {
   ]);
 
   console.log('\n⏳ Checking path...');
-  const result = await client.isFile(answers.remotePath);
+  const result = await client.stat(answers.remotePath);
 
   if (result.success) {
+    const info = result.data;
     console.log('✅', result.message);
-    console.log('📊 Response:', JSON.stringify(result.data, null, 2));
+    console.log(`\n${info.type === 'dir' ? '📁 Folder' : '📄 File'}: ${info.path}`);
+    if (info.type === 'file') console.log(`   Size:     ${formatBytes(info.size)}`);
+    if (info.modified) console.log(`   Modified: ${info.modified.toLocaleString()}`);
+    if (info.permissions) console.log(`   Perms:    ${info.permissions}`);
+  } else if (result.errorType === 'NOT_FOUND') {
+    console.log('❌ Path does not exist:', answers.remotePath);
   } else {
     console.log('❌ Check failed:', result.message);
   }
 }
 
+/**
+ * Find files workflow
+ */
+async function findWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'remoteDir',
+      message: 'Enter remote folder to search (default: /):',
+      default: '/'
+    },
+    {
+      type: 'input',
+      name: 'pattern',
+      message: 'File name patterns, comma-separated (e.g. *.csv, empty for all):'
+    },
+    {
+      type: 'input',
+      name: 'minSize',
+      message: 'Minimum size in bytes (empty for any):',
+      validate: (input) => !input || /^\d+$/.test(input) ? true : 'Please enter a number of bytes'
+    },
+    {
+      type: 'input',
+      name: 'modifiedSince',
+      message: 'Modified since (e.g. 2024-05-01, empty for any time):',
+      validate: (input) => !input || !Number.isNaN(new Date(input).getTime()) ? true : 'Please enter a valid date'
+    }
+  ]);
+
+  console.log('\n⏳ Searching...');
+  const result = await client.find(answers.remoteDir, {
+    pattern: splitPatterns(answers.pattern),
+    minSize: answers.minSize ? Number(answers.minSize) : undefined,
+    modifiedSince: answers.modifiedSince || undefined
+  });
+
+  if (result.success) {
+    console.log('✅', result.message);
+    for (const file of result.data) {
+      console.log(`   ${formatBytes(file.size).padStart(10)}  ${file.path}`);
+    }
+  } else {
+    console.log('❌ Search failed:', result.message);
+  }
+}
+
 /**
  * Main menu loop
  */
+/**
+ * Transfer history workflow: show journal records, newest first
+ */
+async function historyWorkflow() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'environment',
+      message: 'Environment:',
+      choices: [
+        { name: `Current (${selectedEnvironment})`, value: selectedEnvironment },
+        { name: 'All environments', value: null }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'status',
+      message: 'Outcome:',
+      choices: [
+        { name: 'All', value: null },
+        { name: 'Succeeded', value: 'success' },
+        { name: 'Failed', value: 'failed' },
+        { name: 'Cancelled', value: 'cancelled' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'since',
+      message: 'Since (e.g. 2024-05-01, empty for any time):',
+      validate: (input) => !input || !Number.isNaN(new Date(input).getTime()) ? true : 'Please enter a valid date'
+    },
+    {
+      type: 'input',
+      name: 'until',
+      message: 'Until, not included (e.g. 2024-06-01, empty for now):',
+      validate: (input) => !input || !Number.isNaN(new Date(input).getTime()) ? true : 'Please enter a valid date'
+    },
+    {
+      type: 'number',
+      name: 'limit',
+      message: 'Most recent transfers to show:',
+      default: 25,
+      validate: (input) => input > 0 ? true : 'Enter a positive number'
+    }
+  ]);
+
+  const result = await client.history({
+    environment: answers.environment,
+    status: answers.status,
+    since: answers.since || undefined,
+    until: answers.until || undefined,
+    limit: answers.limit
+  });
+
+  if (result.success) {
+    console.log('✅', result.message);
+    console.log('━'.repeat(60));
+    console.log(formatHistory(result.data));
+    console.log('━'.repeat(60));
+  } else {
+    console.log('❌ Cannot read transfer history:', result.message);
+  }
+}
+
 async function mainMenu(config) {
   while (true) {
     const { action } = await inquirer.prompt([
@@ -323,9 +1131,27 @@ async function mainMenu(config) {
       case 'upload':
         await uploadWorkflow();
         break;
+      case 'resumeUpload':
+        await resumeUploadWorkflow();
+        break;
       case 'download':
         await downloadWorkflow();
         break;
+      case 'downloadFolder':
+        await downloadFolderWorkflow();
+        break;
+      case 'sync':
+        await syncWorkflow();
+        break;
+      case 'copy':
+        await copyWorkflow();
+        break;
+      case 'watch':
+        await watchWorkflow();
+        break;
+      case 'poll':
+        await pollWorkflow();
+        break;
       case 'list':
         await listFilesWorkflow();
         break;
@@ -338,8 +1164,14 @@ async function mainMenu(config) {
       case 'rename':
         await renameWorkflow();
         break;
-      case 'isFile':
-        await isFileWorkflow();
+      case 'stat':
+        await statWorkflow();
+        break;
+      case 'find':
+        await findWorkflow();
+        break;
+      case 'history':
+        await historyWorkflow();
         break;
       case 'switchEnv':
         const newConfig = await selectEnvironment();
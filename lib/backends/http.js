@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { checksumFromHeaders } from '../checksum.js';
+import { noopLogger } from '../logger.js';
+
+/**
+ * Base class for backends that talk to an Active Transfer server over HTTP
+ */
+class HttpBackend {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.logger = options.logger || noopLogger;
+    this.baseUrl = `${config.server.protocol}://${config.server.host}:${config.server.port}`;
+    this.auth = {
+      username: config.auth?.username,
+      password: config.auth?.password
+    };
+  }
+
+  /**
+   * Use credentials from a credential provider (see lib/credentials.js)
+   * @param {Object} credentials - { username, password }
+   */
+  setCredentials(credentials) {
+    this.auth = { username: credentials.username, password: credentials.password };
+  }
+
+  /**
+   * Create axios instance with authentication
+   */
+  getAxiosInstance(customTimeout = null) {
+    const config = {
+      baseURL: this.baseUrl,
+      timeout: customTimeout || 30000,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      withCredentials: true
+    };
+
+    this.applyAuth(config);
+
+    return axios.create(config);
+  }
+
+  /**
+   * Range header for a download starting at a byte offset
+   */
+  rangeHeaders(offset) {
+    return offset > 0 ? { 'Range': `bytes=${offset}-` } : {};
+  }
+
+  /**
+   * Describe a streamed download response
+   * @param {Object} response - Axios response with a stream body
+   * @param {number} offset - Byte offset that was requested
+   * @returns {Object} { stream, partial, totalSize, checksum }
+   */
+  downloadResult(response, offset) {
+    const partial = offset > 0 && response.status === 206;
+    let totalSize = null;
+
+    // "Content-Range: bytes 100-999/1000" carries the full size of a partial response
+    const contentRange = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+    if (contentRange) {
+      totalSize = Number(contentRange[1]);
+    } else if (response.headers['content-length'] !== undefined) {
+      totalSize = Number(response.headers['content-length']) + (partial ? offset : 0);
+    }
+
+    return {
+      stream: response.data,
+      partial: partial,
+      totalSize: totalSize,
+      // A checksum header on a partial response only covers the range, so ignore it
+      checksum: partial ? null : checksumFromHeaders(response.headers)
+    };
+  }
+
+  /**
+   * Add authentication to an axios config (implemented by subclasses)
+   */
+  applyAuth(config) {}
+}
+
+export default HttpBackend;
@@ -0,0 +1,41 @@
+import OnPremBackend from './onprem.js';
+import SaaSBackend from './saas.js';
+import MemoryBackend from './memory.js';
+
+/**
+ * Backend adapters by config.server.type
+ * A new server flavour is added by registering another adapter here.
+ */
+const backends = {
+  onprem: OnPremBackend,
+  saas: SaaSBackend,
+  memory: MemoryBackend
+};
+
+/**
+ * Register a backend adapter for a server type
+ * @param {string} type - Value of config.server.type
+ * @param {Function} Backend - Adapter class, constructed with (config, { logger })
+ */
+export function registerBackend(type, Backend) {
+  backends[type] = Backend;
+}
+
+/**
+ * Create the backend adapter for a client config
+ * @param {Object} config - Client config
+ * @param {Object} options - Backend options (logger)
+ * @returns {Object} Backend instance
+ */
+export function createBackend(config, options = {}) {
+  const type = config.server?.type || 'onprem';
+  const Backend = backends[type];
+
+  if (!Backend) {
+    throw new Error(`Unknown server type "${type}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+
+  return new Backend(config, options);
+}
+
+export { OnPremBackend, SaaSBackend, MemoryBackend };
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+
+/**
+ * In-memory backend
+ * Keeps files in a Map so the client can be exercised without a server.
+ * With config.server.reportChecksums it reports SHA-256 checksums like a
+ * server that exposes them (upload responses and download headers).
+ */
+class MemoryBackend {
+  constructor(config = {}) {
+    this.config = config;
+    this.type = 'memory';
+    this.label = 'In-Memory';
+    this.baseUrl = 'memory://';
+    this.endpoints = {
+      upload: 'upload',
+      download: 'download',
+      list: 'list',
+      createFolder: 'createFolder',
+      delete: 'delete',
+      rename: 'rename',
+      isFile: 'isFile'
+    };
+    // path -> { type: 'file' | 'dir', content, modified }
+    this.entries = new Map([['/', { type: 'dir', modified: new Date() }]]);
+  }
+
+  /**
+   * Upload a stream
+   * @param {stream.Readable} source - File content
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - fileName, onProgress, signal
+   * @returns {Promise<Object>} Stored file info
+   */
+  async upload(source, remotePath, options) {
+    const folder = this.normalize(remotePath);
+    this.requireDir(folder);
+
+    const chunks = [];
+    let loaded = 0;
+    for await (const chunk of source) {
+      options.signal?.throwIfAborted();
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      chunks.push(buffer);
+      loaded += buffer.length;
+      if (options.onProgress) {
+        options.onProgress({ loaded: loaded, total: options.knownLength });
+      }
+    }
+
+    const filePath = path.posix.join(folder, options.fileName);
+    const content = Buffer.concat(chunks);
+    this.entries.set(filePath, { type: 'file', content: content, modified: new Date() });
+
+    return { path: filePath, size: content.length, ...this.checksumOf(content) };
+  }
+
+  /**
+   * Upload one part of a chunked upload
+   * @param {stream.Readable} source - Part content
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - fileName, offset
+   * @returns {Promise<Object>} Stored file info
+   */
+  async uploadPart(source, remotePath, options) {
+    const filePath = path.posix.join(this.normalize(remotePath), options.fileName);
+    const existing = this.entries.get(filePath);
+    const stored = options.offset === 0 ? 0 : existing?.content?.length;
+
+    if (stored !== options.offset) {
+      throw this.error(409, 'Conflict', `Part offset ${options.offset} does not match stored size ${stored ?? 0}`);
+    }
+
+    const head = options.offset === 0 ? Buffer.alloc(0) : existing.content;
+    await this.upload(source, remotePath, options);
+    const entry = this.entries.get(filePath);
+    entry.content = Buffer.concat([head, entry.content]);
+
+    return { path: filePath, size: entry.content.length, ...this.checksumOf(entry.content) };
+  }
+
+  /**
+   * Download a file
+   * @param {string} remotePath - Remote file path
+   * @param {Object} options - offset: byte to start from, signal
+   * @returns {Promise<Object>} { stream, partial, totalSize, checksum }
+   */
+  async download(remotePath, options = {}) {
+    options.signal?.throwIfAborted();
+    const offset = options.offset || 0;
+    const entry = this.requireEntry(remotePath);
+    if (entry.type !== 'file') {
+      throw this.error(400, 'Bad Request', `Not a file: ${remotePath}`);
+    }
+    if (offset > entry.content.length) {
+      throw this.error(416, 'Range Not Satisfiable', `Offset ${offset} is past the end of ${remotePath}`);
+    }
+    return {
+      stream: Readable.from([entry.content.subarray(offset)]),
+      partial: offset > 0,
+      totalSize: entry.content.length,
+      checksum: offset === 0 && this.config.server?.reportChecksums
+        ? { algorithm: 'sha256', value: this.checksumOf(entry.content).sha256 }
+        : null
+    };
+  }
+
+  async list(remotePath) {
+    const folder = this.normalize(remotePath);
+    this.requireDir(folder);
+
+    const listing = [];
+    for (const [entryPath, entry] of this.entries) {
+      if (entryPath !== '/' && path.posix.dirname(entryPath) === folder) {
+        listing.push({
+          name: path.posix.basename(entryPath),
+          path: entryPath,
+          type: entry.type,
+          size: entry.type === 'file' ? entry.content.length : 0,
+          modified: entry.modified.toISOString()
+        });
+      }
+    }
+    return listing;
+  }
+
+  async createFolder(folderPath) {
+    const folder = this.normalize(folderPath);
+    this.requireDir(path.posix.dirname(folder));
+    if (this.entries.has(folder)) {
+      throw this.error(409, 'Conflict', `Already exists: ${folderPath}`);
+    }
+    this.entries.set(folder, { type: 'dir', modified: new Date() });
+    return { path: folder };
+  }
+
+  async delete(remotePath) {
+    const target = this.normalize(remotePath);
+    this.requireEntry(target);
+    for (const entryPath of [...this.entries.keys()]) {
+      if (entryPath === target || entryPath.startsWith(target + '/')) {
+        this.entries.delete(entryPath);
+      }
+    }
+    return { path: target };
+  }
+
+  async rename(oldPath, newPath) {
+    const source = this.normalize(oldPath);
+    const target = this.normalize(newPath);
+    this.requireEntry(source);
+    this.requireDir(path.posix.dirname(target));
+    if (this.entries.has(target)) {
+      throw this.error(409, 'Conflict', `Already exists: ${newPath}`);
+    }
+    for (const [entryPath, entry] of [...this.entries]) {
+      if (entryPath === source || entryPath.startsWith(source + '/')) {
+        this.entries.delete(entryPath);
+        this.entries.set(target + entryPath.slice(source.length), entry);
+      }
+    }
+    return { oldPath: source, newPath: target };
+  }
+
+  async isFile(remotePath) {
+    const entry = this.requireEntry(remotePath);
+    return { path: this.normalize(remotePath), isFile: entry.type === 'file' };
+  }
+
+  normalize(remotePath) {
+    const normalized = path.posix.normalize('/' + (remotePath || '/'));
+    return normalized.length > 1 ? normalized.replace(/\/+$/, '') : '/';
+  }
+
+  requireEntry(remotePath) {
+    const entry = this.entries.get(this.normalize(remotePath));
+    if (!entry) {
+      throw this.error(404, 'Not Found', `No such file or folder: ${remotePath}`);
+    }
+    return entry;
+  }
+
+  requireDir(remotePath) {
+    const entry = this.requireEntry(remotePath);
+    if (entry.type !== 'dir') {
+      throw this.error(400, 'Bad Request', `Not a folder: ${remotePath}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Checksum fields for a response, when server.reportChecksums is on
+   */
+  checksumOf(content) {
+    if (!this.config.server?.reportChecksums) return {};
+    return { sha256: crypto.createHash('sha256').update(content).digest('hex') };
+  }
+
+  /**
+   * Build an error shaped like an axios HTTP error
+   */
+  error(status, statusText, message) {
+    const error = new Error(message);
+    error.response = { status: status, statusText: statusText, headers: {}, data: { message: message } };
+    return error;
+  }
+}
+
+export default MemoryBackend;
@@ -0,0 +1,117 @@
+import FormData from 'form-data';
+import HttpBackend from './http.js';
+
+/**
+ * On-Premises backend
+ * Uses the Active Transfer REST endpoints under /api with Basic Auth
+ */
+class OnPremBackend extends HttpBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.type = 'onprem';
+    this.label = 'On-Premises';
+    this.endpoints = {
+      upload: '/api/upload',
+      download: '/api/download',
+      list: '/api/list',
+      createFolder: '/api/createFolder',
+      delete: '/api/delete',
+      rename: '/api/rename',
+      isFile: '/api/isFile'
+    };
+  }
+
+  applyAuth(config) {
+    config.auth = this.auth;
+  }
+
+  /**
+   * Upload a stream
+   * The REST API has no way to append to a file, so there is no uploadPart():
+   * chunked uploads are refused for on-prem servers.
+   * @param {stream.Readable} source - File content
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - fileName, knownLength, timeout, onProgress, signal
+   * @returns {Promise<Object>} Server response data
+   */
+  async upload(source, remotePath, options) {
+    const form = new FormData();
+
+    form.append('uploadPath', remotePath);
+
+    const fileOptions = { filename: options.fileName };
+    if (options.knownLength) {
+      fileOptions.knownLength = options.knownLength;
+    }
+
+    form.append('file', source, fileOptions);
+
+    const axiosInstance = this.getAxiosInstance(options.timeout);
+
+    const response = await axiosInstance.post(this.endpoints.upload, form, {
+      headers: {
+        ...form.getHeaders()
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: options.timeout,
+      maxRedirects: 0,
+      onUploadProgress: options.onProgress,
+      signal: options.signal
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Download a file
+   * @param {string} remotePath - Remote file path
+   * @param {Object} options - offset: byte to start from (sent as an HTTP Range), signal
+   * @returns {Promise<Object>} { stream, partial, totalSize, checksum }
+   */
+  async download(remotePath, options = {}) {
+    const offset = options.offset || 0;
+    const axiosInstance = this.getAxiosInstance();
+
+    const response = await axiosInstance.post(this.endpoints.download, {
+      path: remotePath
+    }, {
+      responseType: 'stream',
+      headers: this.rangeHeaders(offset),
+      signal: options.signal
+    });
+
+    return this.downloadResult(response, offset);
+  }
+
+  async list(remotePath) {
+    return this.post(this.endpoints.list, { path: remotePath });
+  }
+
+  async createFolder(folderPath) {
+    return this.post(this.endpoints.createFolder, { path: folderPath });
+  }
+
+  async delete(remotePath) {
+    return this.post(this.endpoints.delete, { path: remotePath });
+  }
+
+  async rename(oldPath, newPath) {
+    return this.post(this.endpoints.rename, { oldPath: oldPath, newPath: newPath });
+  }
+
+  async isFile(remotePath) {
+    return this.post(this.endpoints.isFile, { path: remotePath });
+  }
+
+  /**
+   * POST a JSON body and return the response data
+   */
+  async post(endpoint, body) {
+    const axiosInstance = this.getAxiosInstance();
+    const response = await axiosInstance.post(endpoint, body);
+    return response.data;
+  }
+}
+
+export default OnPremBackend;
@@ -0,0 +1,315 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import path from 'path';
+import HttpBackend from './http.js';
+import { AuthError, ActiveTransferError, toTypedError, errorFromSaaSResponse } from '../errors.js';
+
+const FUNCTION_ENDPOINT = '/WebInterface/function/';
+
+/**
+ * SaaS backend
+ * Uses the WebInterface command interface with session cookies
+ */
+class SaaSBackend extends HttpBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.type = 'saas';
+    this.label = 'SaaS';
+    this.endpoints = {
+      upload: FUNCTION_ENDPOINT,
+      download: FUNCTION_ENDPOINT,
+      list: FUNCTION_ENDPOINT,
+      createFolder: FUNCTION_ENDPOINT,
+      delete: FUNCTION_ENDPOINT,
+      rename: FUNCTION_ENDPOINT,
+      isFile: FUNCTION_ENDPOINT
+    };
+    // Store session cookies
+    this.sessionCookies = null;
+  }
+
+  applyAuth(config) {
+    if (this.sessionCookies) {
+      config.headers = {
+        'Cookie': this.sessionCookies
+      };
+    }
+  }
+
+  /**
+   * Login to SaaS environment and get session cookies
+   */
+  async login() {
+    if (this.sessionCookies) {
+      return; // Already logged in
+    }
+
+    try {
+      const axiosInstance = axios.create({
+        baseURL: this.baseUrl,
+        timeout: 30000,
+        withCredentials: true
+      });
+
+      this.logger.info('Logging in to SaaS environment', { baseUrl: this.baseUrl, username: this.auth.username });
+
+      const response = await axiosInstance.post(FUNCTION_ENDPOINT,
+        `command=login&username=${encodeURIComponent(this.auth.username)}&password=${encodeURIComponent(this.auth.password)}`,
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+            'X-Requested-With': 'XMLHttpRequest'
+          }
+        }
+      );
+
+      const failure = errorFromSaaSResponse(response.data);
+      if (failure) {
+        throw new AuthError(`Failed to authenticate with SaaS environment: ${failure.message}`);
+      }
+
+      // Extract cookies from response
+      const cookies = response.headers['set-cookie'];
+      if (!cookies) {
+        throw new AuthError('Failed to authenticate with SaaS environment: no session cookie received');
+      }
+
+      this.sessionCookies = cookies.map(cookie => cookie.split(';')[0]).join('; ');
+      this.logger.info('Login successful');
+    } catch (error) {
+      this.logger.error('SaaS login failed', { message: error.message, status: error.response?.status });
+
+      if (error instanceof ActiveTransferError) throw error;
+      if (error.response) {
+        throw new AuthError('Failed to authenticate with SaaS environment', { status: error.response.status, cause: error });
+      }
+      // No response: network trouble, not bad credentials
+      throw toTypedError(error, `Failed to reach SaaS environment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the session so the next request logs in again
+   */
+  resetSession() {
+    this.sessionCookies = null;
+  }
+
+  /**
+   * Send a request, flagging errors caused by an expired session
+   * A 401/403, or an HTML login page where a command result was expected,
+   * means the session cookies are no longer valid.
+   */
+  async sessionRequest(send) {
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      if ([401, 403].includes(error.response?.status)) {
+        error.sessionExpired = true;
+      }
+      throw error;
+    }
+
+    if (this.isLoginPage(response)) {
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+      const error = new AuthError('SaaS session expired (received login page)', { status: 401 });
+      error.sessionExpired = true;
+      throw error;
+    }
+
+    // Most commands answer 200 and report failures in the body
+    if (typeof response.data?.pipe !== 'function') {
+      const failure = errorFromSaaSResponse(response.data);
+      if (failure) {
+        if (failure instanceof AuthError) failure.sessionExpired = true;
+        throw failure;
+      }
+    }
+
+    return response;
+  }
+
+  isLoginPage(response) {
+    const contentType = String(response.headers['content-type'] || '');
+    if (!contentType.includes('text/html')) {
+      return false;
+    }
+    // Streamed bodies can't be inspected; HTML is never a valid command or download result
+    return typeof response.data !== 'string' || /login/i.test(response.data);
+  }
+
+  /**
+   * Upload a stream
+   * @param {stream.Readable} source - File content
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - fileName, knownLength, timeout, onProgress, signal
+   * @returns {Promise<Object>} Server response data
+   */
+  async upload(source, remotePath, options) {
+    return this.postUpload(source, remotePath, options, {});
+  }
+
+  /**
+   * Upload one part of a chunked upload
+   * Uses STOR with a resume location so the server appends at the given offset.
+   * @param {stream.Readable} source - Part content
+   * @param {string} remotePath - Remote destination folder
+   * @param {Object} options - fileName, offset, totalSize, knownLength, timeout, onProgress, signal
+   * @returns {Promise<Object>} Server response data
+   */
+  async uploadPart(source, remotePath, options) {
+    return this.postUpload(source, remotePath, options, {
+      start_resume_loc: String(options.offset),
+      randomaccess: 'true'
+    });
+  }
+
+  /**
+   * POST a multipart STOR form
+   */
+  async postUpload(source, remotePath, options, extraFields) {
+    await this.login();
+
+    const form = new FormData();
+
+    // SaaS-specific parameters from the curl
+    form.append('uploadPath', remotePath.endsWith('/') ? remotePath : remotePath + '/');
+    form.append('the_action', 'STOR');
+    for (const [name, value] of Object.entries(extraFields)) {
+      form.append(name, value);
+    }
+
+    const fileOptions = { filename: options.fileName };
+    if (options.knownLength) {
+      fileOptions.knownLength = options.knownLength;
+    }
+
+    form.append('file_lWsx_SINGLE_FILE_POST', source, fileOptions);
+
+    const axiosInstance = this.getAxiosInstance(options.timeout);
+
+    const response = await this.sessionRequest(() => axiosInstance.post(FUNCTION_ENDPOINT, form, {
+      headers: {
+        ...form.getHeaders(),
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: options.timeout,
+      onUploadProgress: options.onProgress,
+      signal: options.signal
+    }));
+
+    return response.data;
+  }
+
+  /**
+   * Download a file
+   * @param {string} remotePath - Remote file path
+   * @param {Object} options - offset: byte to start from (sent as an HTTP Range), signal
+   * @returns {Promise<Object>} { stream, partial, totalSize, checksum }
+   */
+  async download(remotePath, options = {}) {
+    const offset = options.offset || 0;
+
+    const response = await this.command({
+      command: 'download',
+      path: remotePath
+    }, {
+      responseType: 'stream',
+      headers: this.rangeHeaders(offset),
+      signal: options.signal
+    });
+
+    return this.downloadResult(response, offset);
+  }
+
+  async list(remotePath) {
+    // Generate a random token (similar to the curl example)
+    const randomToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+
+    const response = await this.command({
+      command: 'getXMLListing',
+      format: 'JSONOBJ',
+      path: remotePath,
+      random: randomToken
+    });
+
+    return response.data;
+  }
+
+  async createFolder(folderPath) {
+    const response = await this.command({
+      command: 'makedir',
+      path: folderPath
+    });
+
+    return response.data;
+  }
+
+  async delete(remotePath) {
+    // The WebInterface delete command takes a list of full paths in "names"
+    const response = await this.command({
+      command: 'delete',
+      names: remotePath
+    });
+
+    return response.data;
+  }
+
+  async rename(oldPath, newPath) {
+    // The WebInterface rename command works on names inside a parent folder;
+    // a target in another folder is passed as a full path to move the item
+    const parentPath = path.posix.dirname(oldPath);
+    const sameFolder = path.posix.dirname(newPath) === parentPath;
+
+    const response = await this.command({
+      command: 'rename',
+      path: parentPath.endsWith('/') ? parentPath : parentPath + '/',
+      name1: path.posix.basename(oldPath),
+      name2: sameFolder ? path.posix.basename(newPath) : newPath
+    });
+
+    return response.data;
+  }
+
+  async isFile(remotePath) {
+    const response = await this.command({
+      command: 'stat',
+      path: remotePath
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Send a command to the WebInterface function endpoint
+   * @param {Object} params - Form fields, including "command"
+   * @param {Object} requestOptions - Extra axios request options
+   * @returns {Promise<Object>} Axios response
+   */
+  async command(params, requestOptions = {}) {
+    // Ensure we're logged in first
+    await this.login();
+
+    const axiosInstance = this.getAxiosInstance();
+
+    const body = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    return this.sessionRequest(() => axiosInstance.post(FUNCTION_ENDPOINT, body, {
+      ...requestOptions,
+      headers: {
+        ...requestOptions.headers,
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    }));
+  }
+}
+
+export default SaaSBackend;
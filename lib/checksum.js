@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Transform, pipeline as pipeStreams } from 'stream';
+import { pipeline } from 'stream/promises';
+import { RequestError } from './errors.js';
+
+/**
+ * Algorithms hashed while streaming, so whichever one a server or sidecar
+ * offers can be checked without reading the file again
+ */
+export const STREAM_ALGORITHMS = ['sha256', 'md5'];
+
+/**
+ * Hash a local file
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - Hash algorithm, e.g. "sha256" or "md5"
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Read a checksum advertised in HTTP response headers
+ * Understands "Digest: sha-256=<base64>", "X-Checksum-SHA256: <hex>" and "Content-MD5: <base64>".
+ * @param {Object} headers - Response headers (lower-case names)
+ * @returns {Object|null} { algorithm, value } with a hex value, or null
+ */
+export function checksumFromHeaders(headers = {}) {
+  if (headers['x-checksum-sha256']) {
+    return { algorithm: 'sha256', value: headers['x-checksum-sha256'].toLowerCase() };
+  }
+
+  if (headers.digest) {
+    const match = /sha-256=([A-Za-z0-9+/=]+)/i.exec(headers.digest);
+    if (match) {
+      return { algorithm: 'sha256', value: Buffer.from(match[1], 'base64').toString('hex') };
+    }
+  }
+
+  if (headers['content-md5']) {
+    return { algorithm: 'md5', value: Buffer.from(headers['content-md5'], 'base64').toString('hex') };
+  }
+
+  return null;
+}
+
+/**
+ * Read a checksum from an upload response body
+ * Understands { sha256 }, { md5 } and { checksum, algorithm } objects.
+ * @param {*} data - Response body
+ * @returns {Object|null} { algorithm, value } with a hex value, or null
+ */
+export function checksumFromResponse(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (typeof data.sha256 === 'string') return { algorithm: 'sha256', value: data.sha256.toLowerCase() };
+  if (typeof data.md5 === 'string') return { algorithm: 'md5', value: data.md5.toLowerCase() };
+  if (typeof data.checksum === 'string' && STREAM_ALGORITHMS.includes(data.algorithm)) {
+    return { algorithm: data.algorithm, value: data.checksum.toLowerCase() };
+  }
+
+  return null;
+}
+
+/**
+ * Pass-through stream that hashes the bytes flowing through it
+ * @returns {stream.Transform} Stream with update(buffer) to hash bytes that
+ *   don't flow through it, and digests() → { sha256, md5 } hex digests
+ */
+export function hashingStream() {
+  const hashes = STREAM_ALGORITHMS.map((algorithm) => [algorithm, crypto.createHash(algorithm)]);
+  const update = (chunk) => hashes.forEach(([, hash]) => hash.update(chunk));
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  stream.update = update;
+  stream.digests = () => Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+  return stream;
+}
+
+/**
+ * Hash a readable stream on its way through
+ * @param {stream.Readable} source - Stream to hash
+ * @returns {stream.Readable} The same bytes, with digests() once it has ended
+ */
+export function withHashing(source) {
+  // The callback form of pipeline() passes a source error on to the returned stream
+  return pipeStreams(source, hashingStream(), () => {});
+}
+
+/**
+ * Feed a local file into a hashingStream() without passing it downstream
+ * Used for the part of a resumed download that is already on disk.
+ */
+export async function hashFileInto(hasher, filePath) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hasher.update(chunk);
+  }
+}
+
+/**
+ * Normalize a checksum option
+ * @param {boolean|string} option - true (sha256), "sha256", "md5", or false/undefined (off)
+ * @returns {string|null} Algorithm, or null when off
+ */
+export function checksumAlgorithm(option) {
+  if (!option) return null;
+  if (option === true) return 'sha256';
+
+  const algorithm = String(option).toLowerCase().replace('-', '');
+  if (!STREAM_ALGORITHMS.includes(algorithm)) {
+    throw new RequestError(`Unsupported checksum algorithm "${option}" (use ${STREAM_ALGORITHMS.join(' or ')})`);
+  }
+  return algorithm;
+}
+
+/**
+ * Sidecar file content, in the format of sha256sum/md5sum
+ */
+export function sidecarContent(value, fileName) {
+  return `${value}  ${fileName}\n`;
+}
+
+/**
+ * Read the digest from a sidecar file
+ * @returns {string|null} Lower-case hex digest, or null if the content isn't one
+ */
+export function parseSidecar(text) {
+  const match = /^\s*([0-9a-f]{32,128})\b/i.exec(text);
+  return match ? match[1].toLowerCase() : null;
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import archiver from 'archiver';
+import tar from 'tar-stream';
+import yauzl from 'yauzl';
+import { Transform, pipeline as pipeStreams } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import { ActiveTransferError, RequestError, IntegrityError } from './errors.js';
+
+/**
+ * Compression formats and the extension they add to the remote file name
+ * zip and tar.gz hold any number of files, gzip exactly one.
+ */
+export const COMPRESSION_FORMATS = {
+  zip: '.zip',
+  'tar.gz': '.tar.gz',
+  gzip: '.gz'
+};
+
+/**
+ * Resolve a compress option
+ * @param {boolean|string} option - true (zip), false, or a key of COMPRESSION_FORMATS
+ * @returns {string|null} Format, or null for no compression
+ */
+export function compressionFormat(option) {
+  if (!option) return null;
+  if (option === true) return 'zip';
+  if (COMPRESSION_FORMATS[option]) return option;
+  throw new RequestError(`Unsupported compression format "${option}" (use ${Object.keys(COMPRESSION_FORMATS).join(', ')})`);
+}
+
+/**
+ * Validate a compression level
+ * @param {number} level - 0 (store) to 9 (smallest)
+ * @returns {number} Level (default: 9)
+ */
+export function compressionLevel(level = 9) {
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    throw new RequestError(`Invalid compression level: ${level} (use 0-9)`);
+  }
+  return level;
+}
+
+/**
+ * Name of the compressed file
+ * @param {string} name - File or archive name
+ * @param {string} format - Compression format
+ * @returns {string} e.g. "report.csv.gz"
+ */
+export function archiveFileName(name, format) {
+  return name + COMPRESSION_FORMATS[format];
+}
+
+/**
+ * Guess the format of an archive from its name
+ * @param {string} fileName - e.g. "backup.tgz"
+ * @returns {string|null} Format, or null when the name has no known extension
+ */
+export function formatFromName(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+  if (name.endsWith('.gz')) return 'gzip';
+  return null;
+}
+
+/**
+ * Stream local files as one compressed archive
+ * Files are opened as the archive is read, so a fresh stream can be created
+ * for every upload attempt.
+ * @param {Array<Object>} entries - { localPath, name } with POSIX names inside the archive
+ * @param {string} format - Compression format
+ * @param {number} level - Compression level
+ * @returns {stream.Readable} Compressed stream
+ */
+export function createArchiveStream(entries, format, level = 9) {
+  if (format === 'gzip') {
+    if (entries.length !== 1) {
+      throw new RequestError('gzip holds a single file; use zip or tar.gz for several');
+    }
+    // pipeline() passes a read error on to the gzip stream; pipe() would lose it
+    return pipeStreams(fs.createReadStream(entries[0].localPath), zlib.createGzip({ level }), () => {});
+  }
+
+  const archive = format === 'zip'
+    ? archiver('zip', { zlib: { level } })
+    : archiver('tar', { gzip: true, gzipOptions: { level } });
+
+  for (const entry of entries) {
+    archive.file(entry.localPath, { name: entry.name });
+  }
+  archive.finalize();
+
+  return archive;
+}
+
+/**
+ * Extract a downloaded archive
+ * Entries that would land outside the target (absolute paths, "..") are refused.
+ * @param {string} archivePath - Local archive
+ * @param {string} format - Compression format
+ * @param {string} target - Folder for zip and tar.gz, file for gzip
+ * @returns {Promise<string[]>} Local paths of the extracted files
+ */
+export async function extractArchive(archivePath, format, target) {
+  if (format === 'gzip') {
+    await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), fs.createWriteStream(target));
+    return [target];
+  }
+
+  fs.mkdirSync(target, { recursive: true });
+  return format === 'zip' ? extractZip(archivePath, target) : extractTarGz(archivePath, target);
+}
+
+async function extractTarGz(archivePath, targetDir) {
+  const files = [];
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    let outputPath;
+    try {
+      outputPath = entryPath(targetDir, header.name);
+
+      if (header.type === 'directory') {
+        fs.mkdirSync(outputPath, { recursive: true });
+      }
+      if (header.type === 'file') {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      }
+    } catch (error) {
+      // Thrown here it would escape the event callback. next(error) fails the pipeline instead,
+      // and passes the error to this entry too, which nothing else listens to
+      stream.on('error', () => {});
+      next(error);
+      return;
+    }
+
+    if (header.type !== 'file') {
+      stream.on('end', next);
+      stream.resume();
+      return;
+    }
+
+    pipeline(stream, fs.createWriteStream(outputPath)).then(() => {
+      files.push(outputPath);
+      next();
+    }, next);
+  });
+
+  await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), extract);
+  return files;
+}
+
+/**
+ * Extract a zip file with yauzl
+ * yauzl checks each entry's inflated size against the directory; the CRC-32
+ * is checked here, so a damaged or doctored entry fails the extraction.
+ */
+async function extractZip(archivePath, targetDir) {
+  const files = [];
+  let zip;
+  try {
+    zip = await promisify(yauzl.open)(archivePath, { lazyEntries: true });
+  } catch (error) {
+    throw zipError(archivePath, error);
+  }
+  const openReadStream = promisify(zip.openReadStream.bind(zip));
+
+  const extractEntry = async (entry) => {
+    const outputPath = entryPath(targetDir, entry.fileName);
+
+    if (entry.fileName.endsWith('/')) {
+      fs.mkdirSync(outputPath, { recursive: true });
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    try {
+      await pipeline(await openReadStream(entry), crcCheck(entry), fs.createWriteStream(outputPath));
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+    files.push(outputPath);
+  };
+
+  // lazyEntries: the next entry is only read once this one is written
+  await new Promise((resolve, reject) => {
+    const fail = (error) => {
+      zip.close();
+      reject(zipError(archivePath, error));
+    };
+    zip.on('entry', (entry) => extractEntry(entry).then(() => zip.readEntry(), fail));
+    zip.on('end', resolve);
+    zip.on('error', fail);
+    zip.readEntry();
+  });
+
+  return files;
+}
+
+/**
+ * Pass-through stream that fails unless the data matches the entry's CRC-32
+ */
+function crcCheck(entry) {
+  let crc = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      crc = crc32(chunk, crc);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const hex = (value) => (value >>> 0).toString(16).padStart(8, '0');
+      callback(crc === entry.crc32 ? null : new IntegrityError(`CRC-32 mismatch for ${entry.fileName}`, {
+        algorithm: 'crc32',
+        expected: hex(entry.crc32),
+        actual: hex(crc)
+      }));
+    }
+  });
+}
+
+// CRC-32 lookup table (the zip polynomial); zlib.crc32() is only in Node 20.15 and later
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+/**
+ * CRC-32 of a buffer, continuing from the CRC of the bytes before it
+ */
+function crc32(buffer, crc = 0) {
+  crc = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function zipError(archivePath, error) {
+  return error instanceof ActiveTransferError
+    ? error
+    : new RequestError(`${path.basename(archivePath)} is not a valid zip archive: ${error.message}`);
+}
+
+/**
+ * Local path for an archive entry, refusing entries that escape the target folder
+ */
+function entryPath(targetDir, name) {
+  const root = path.resolve(targetDir);
+  const outputPath = path.resolve(root, ...name.split('/'));
+
+  if (/^([a-z]:)?[\\/]/i.test(name) || (outputPath !== root && !outputPath.startsWith(root + path.sep))) {
+    throw new RequestError(`Archive entry "${name}" points outside ${targetDir}`);
+  }
+  return outputPath;
+}
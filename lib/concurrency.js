@@ -0,0 +1,26 @@
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
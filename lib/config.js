@@ -0,0 +1,44 @@
+import fs from 'fs';
+
+/**
+ * Load a config.json file
+ * @param {string} configPath - Path to config.json
+ * @returns {Object} Parsed config with an "environments" map
+ */
+export function loadConfig(configPath) {
+  const configData = fs.readFileSync(configPath, 'utf8');
+  const fullConfig = JSON.parse(configData);
+
+  if (!fullConfig.environments || typeof fullConfig.environments !== 'object') {
+    throw new Error(`${configPath} has no "environments" section`);
+  }
+
+  return fullConfig;
+}
+
+/**
+ * Build the client config for one environment
+ * @param {Object} fullConfig - Config loaded with loadConfig()
+ * @param {string} environment - Environment key (default: defaultEnvironment)
+ * @returns {Object} Client config (environment, server, auth, defaults, retry, concurrency, maxBytesPerSecond, checksum, journal, redactKeys)
+ */
+export function environmentConfig(fullConfig, environment = fullConfig.defaultEnvironment) {
+  const envConfig = fullConfig.environments[environment];
+
+  if (!envConfig) {
+    throw new Error(`Unknown environment "${environment}" (available: ${Object.keys(fullConfig.environments).join(', ')})`);
+  }
+
+  return {
+    environment: environment,
+    server: envConfig.server,
+    auth: envConfig.auth,
+    defaults: fullConfig.defaults,
+    retry: envConfig.retry || fullConfig.retry,
+    concurrency: envConfig.concurrency || fullConfig.concurrency,
+    maxBytesPerSecond: envConfig.maxBytesPerSecond ?? fullConfig.maxBytesPerSecond,
+    checksum: envConfig.checksum ?? fullConfig.checksum,
+    journal: envConfig.journal ?? fullConfig.journal,
+    redactKeys: [...(fullConfig.redactKeys || []), ...(envConfig.redactKeys || [])]
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Progress bar for terminal front ends (CLI and demo)
+ * Returns an onProgress callback for uploadFile()/downloadFile() and a
+ * done() to end the line once the transfer finishes.
+ * @param {string} label - Text before the numbers, e.g. "📤 Upload progress"
+ * @param {stream.Writable} stream - Output stream (default: process.stdout)
+ * @returns {Object} { onProgress, done }
+ */
+export function createProgressPrinter(label, stream = process.stdout) {
+  let printed = false;
+
+  return {
+    onProgress: (progress) => {
+      const loaded = (progress.loaded / 1024 / 1024).toFixed(2);
+      printed = true;
+
+      const rate = progress.rate ? `, ${(progress.rate / 1024 / 1024).toFixed(2)} MB/s` : '';
+      const eta = progress.eta !== null && progress.eta !== undefined ? `, ETA ${formatSeconds(progress.eta)}` : '';
+
+      // Trailing spaces wipe leftovers when the line gets shorter
+      if (progress.total) {
+        const percent = Math.round((progress.loaded * 100) / progress.total);
+        stream.write(`\r${label}: ${percent}% (${loaded} MB / ${(progress.total / 1024 / 1024).toFixed(2)} MB${rate}${eta})   `);
+      } else {
+        stream.write(`\r${label}: ${loaded} MB${rate}...   `);
+      }
+    },
+    done: () => {
+      if (printed) stream.write('\n');
+      printed = false;
+    }
+  };
+}
+
+function formatSeconds(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Progress line for a transfer queue
+ * Returns an onProgress callback for the queue's aggregate "progress" event.
+ * @param {string} label - Text before the numbers, e.g. "📤 Uploading"
+ * @param {stream.Writable} stream - Output stream (default: process.stdout)
+ * @returns {Object} { onProgress, done }
+ */
+export function createBatchProgressPrinter(label, stream = process.stdout) {
+  let printed = false;
+
+  return {
+    onProgress: (aggregate) => {
+      const finished = aggregate.done + aggregate.failed + aggregate.cancelled;
+      const loaded = (aggregate.loadedBytes / 1024 / 1024).toFixed(2);
+      const total = (aggregate.totalBytes / 1024 / 1024).toFixed(2);
+      const failed = aggregate.failed ? `, ${aggregate.failed} failed` : '';
+      printed = true;
+      stream.write(`\r${label}: ${finished}/${aggregate.items} files${failed} (${loaded} MB / ${total} MB)`);
+    },
+    done: () => {
+      if (printed) stream.write('\n');
+      printed = false;
+    }
+  };
+}
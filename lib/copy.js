@@ -0,0 +1,153 @@
+import path from 'path';
+import ActiveTransferClient from '../client.js';
+import { loadConfig, environmentConfig } from './config.js';
+import { matchesFilters } from './files.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { RequestError, toTypedError } from './errors.js';
+
+/**
+ * Server-to-server copy between two environments
+ *
+ * Each file is downloaded from the source client as a stream and piped
+ * straight into an upload on the destination client; nothing is written to
+ * local disk. A retried upload opens a fresh download. Each side is given as
+ * a client, or as an environment name from config.json. Both sides keep their
+ * own retry policy, bandwidth limit and transfer journal, so a copy shows up
+ * as a download in one environment and an upload in the other.
+ */
+
+/**
+ * Copy a file, or a folder tree with recursive, from one server to another
+ * @param {ActiveTransferClient|string|Object} source - Source environment: a client, an environment
+ *   name from config.json, or a client config from environmentConfig()
+ * @param {string} sourcePath - Remote file, or folder when recursive
+ * @param {ActiveTransferClient|string|Object} destination - Destination environment, as for source
+ * @param {string} destinationPath - Destination folder; a file keeps its name, a folder's
+ *   contents go into it (like uploadDirectory())
+ * @param {Object} options - Copy options
+ * @param {boolean} options.recursive - Copy the folder at sourcePath with everything under it
+ * @param {string|string[]} options.include - Glob patterns of files to copy (recursive only)
+ * @param {string|string[]} options.exclude - Glob patterns of files to skip (recursive only)
+ * @param {number} options.concurrency - Files copied in parallel (default: the destination's concurrency)
+ * @param {boolean|string} options.checksum - Passed through to the destination upload
+ * @param {Function} options.onProgress - Called with { loaded, total, rate, eta } for a single file
+ * @param {AbortSignal} options.signal - Cancels the copies in flight
+ * @param {Object} options.config - Full config to look environment names up in (default: loaded from configPath)
+ * @param {string} options.configPath - config.json to load for environment names (default: ./config.json)
+ * @param {Object} options.clientOptions - Options for the clients created for environment names or configs
+ *   (logger, credentials, retry, ...)
+ * @returns {Promise<Object>} Upload result for a file; report with one entry per file when recursive
+ */
+export async function copyBetween(source, sourcePath, destination, destinationPath, options = {}) {
+  try {
+    [source, destination] = environmentClients([source, destination], options);
+  } catch (error) {
+    // No client to report through yet; fail like a client would
+    const typedError = toTypedError(error);
+    delete typedError.cause;
+    return { success: false, operation: 'Copy', message: typedError.message, errorType: typedError.code, error: typedError };
+  }
+
+  if (options.recursive) {
+    return copyTree(source, sourcePath, destination, destinationPath, options);
+  }
+
+  const stat = await source.stat(sourcePath);
+  if (!stat.success) return stat;
+  if (stat.data.type === 'dir') {
+    return destination.handleError('Copy', new RequestError(`${sourcePath} is a folder; copy it with recursive`));
+  }
+
+  const result = await copyFile(source, stat.data.path, destination, destinationPath, { ...options, size: stat.data.size });
+  return result.success
+    ? { ...result, message: `Copied to ${path.posix.join(destinationPath, result.fileName)}` }
+    : result;
+}
+
+/**
+ * Clients for the two sides, created from config.json for environment names
+ * Both sides come from one config, loaded at most once.
+ */
+function environmentClients(environments, options) {
+  let fullConfig = options.config;
+
+  return environments.map((environment) => {
+    if (environment instanceof ActiveTransferClient) return environment;
+
+    let config = environment;
+    if (typeof environment === 'string') {
+      fullConfig ??= loadConfig(options.configPath || 'config.json');
+      if (!fullConfig.environments[environment]) {
+        throw new RequestError(`Unknown environment "${environment}" (available: ${Object.keys(fullConfig.environments).join(', ')})`);
+      }
+      config = environmentConfig(fullConfig, environment);
+    }
+    return new ActiveTransferClient(config, options.clientOptions);
+  });
+}
+
+async function copyTree(source, sourceDir, destination, destinationDir, options) {
+  const tree = await source.listRemoteTree(sourceDir);
+  const files = tree.files.filter((file) => matchesFilters(file.relativePath, options));
+  const targetDir = (file) => path.posix.dirname(path.posix.join(destinationDir, file.relativePath));
+
+  const folders = [
+    ...tree.errors,
+    ...await destination.ensureRemoteFolders([destinationDir, ...files.map(targetDir)])
+  ];
+
+  // onProgress reports on one file, not a whole tree
+  const copyOptions = { ...options, onProgress: undefined };
+  const results = await mapWithConcurrency(files, options.concurrency || destination.concurrency, async (file) => {
+    const result = await copyFile(source, file.path, destination, targetDir(file), { ...copyOptions, size: file.size });
+    return {
+      sourcePath: file.path,
+      destinationPath: path.posix.join(targetDir(file), file.name),
+      success: result.success,
+      message: result.message,
+      error: result.error
+    };
+  });
+
+  const copied = results.filter((file) => file.success).length;
+  const failed = results.length - copied + folders.filter((folder) => !folder.success).length;
+
+  return {
+    success: failed === 0,
+    message: `${copied} file(s) copied, ${failed} failure(s)`,
+    copied: copied,
+    failed: failed,
+    folders: folders,
+    files: results
+  };
+}
+
+/**
+ * Stream one remote file into an upload on the other server
+ */
+async function copyFile(source, sourcePath, destination, destinationDir, options) {
+  let download = null;
+
+  const openStream = async () => {
+    // A retry starts the download over; drop what's left of the last one
+    download?.destroy();
+    const result = await source.downloadFile(sourcePath, null, { retry: options.retry, signal: options.signal });
+    if (!result.success) throw result.error;
+    download = result.stream;
+    return download;
+  };
+
+  try {
+    return await destination.uploadStream(openStream, destinationDir, {
+      fileName: path.posix.basename(sourcePath),
+      size: options.size ?? null,
+      retry: options.retry,
+      onProgress: options.onProgress,
+      signal: options.signal,
+      maxBytesPerSecond: options.maxBytesPerSecond,
+      checksum: options.checksum
+    });
+  } finally {
+    download?.destroy();
+  }
+}
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exec } from 'child_process';
+import { AuthError, RequestError, IntegrityError } from './errors.js';
+import { readAesKey, encryptBuffer, decryptBuffer } from './encryption.js';
+
+/**
+ * Credential providers
+ *
+ * A provider is any object with a name and getCredentials(), which resolves
+ * to { username, password }. The client asks its provider once, before the
+ * first request, so secrets don't have to sit in config.json. Pick one per
+ * environment with auth.source:
+ *   "config"  - auth.password from config.json (the default when it is set)
+ *   "env"     - MFT_<ENV>_PASSWORD (the default otherwise)
+ *   "command" - stdout of auth.command, e.g. a secret manager CLI
+ *   "file"    - encrypted credential file, see saveFileCredentials()
+ *   "prompt"  - ask the person running the demo or CLI
+ * MFT_<ENV>_PASSWORD wins over every source when it is set, and
+ * MFT_<ENV>_USERNAME over auth.username.
+ */
+
+export const CREDENTIAL_SOURCES = ['config', 'env', 'command', 'file', 'prompt'];
+
+const DEFAULT_CREDENTIAL_FILE = path.join(os.homedir(), '.mft', 'credentials.enc');
+const DEFAULT_CREDENTIAL_KEY = path.join(os.homedir(), '.mft', 'credentials.key');
+
+/**
+ * Environment variable for a credential of an environment
+ * @param {string} environment - Environment key, e.g. "saas-prod"
+ * @param {string} field - "PASSWORD" or "USERNAME"
+ * @returns {string} e.g. "MFT_SAAS_PROD_PASSWORD"
+ */
+export function envVarName(environment, field = 'PASSWORD') {
+  return `MFT_${String(environment).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${field}`;
+}
+
+/**
+ * Provider for credentials known up front (auth from config.json)
+ * @param {Object} auth - { username, password }
+ */
+export function staticCredentials(auth = {}) {
+  return {
+    name: 'config',
+    async getCredentials() {
+      return { username: auth.username, password: auth.password };
+    }
+  };
+}
+
+/**
+ * Provider reading MFT_<ENV>_PASSWORD (and optionally MFT_<ENV>_USERNAME)
+ * @param {string} environment - Environment key
+ * @param {Object} auth - auth block; username is used when the variable isn't set
+ * @param {Object} env - Variables to read (default: process.env)
+ */
+export function envCredentials(environment, auth = {}, env = process.env) {
+  const passwordVar = envVarName(environment);
+
+  return {
+    name: 'env',
+    async getCredentials() {
+      if (env[passwordVar] === undefined) {
+        throw new AuthError(`No password for environment "${environment}": set ${passwordVar}`);
+      }
+      return { username: env[envVarName(environment, 'USERNAME')] || auth.username, password: env[passwordVar] };
+    }
+  };
+}
+
+/**
+ * Provider running a command, such as a secret manager CLI
+ * stdout is either the password (first line) or JSON with username and password.
+ * The output is never logged or put in error messages.
+ * @param {string} command - Shell command
+ * @param {Object} auth - auth block; username is used unless the command returns one
+ * @param {Object} options - timeout in ms (default: 30000)
+ */
+export function commandCredentials(command, auth = {}, options = {}) {
+  return {
+    name: 'command',
+    getCredentials() {
+      return new Promise((resolve, reject) => {
+        exec(command, { timeout: options.timeout || 30000, windowsHide: true }, (error, stdout, stderr) => {
+          if (error) {
+            const reason = error.killed ? 'timed out' : stderr.trim().split('\n')[0] || `exit code ${error.code}`;
+            reject(new AuthError(`Credential command failed: ${reason}`));
+            return;
+          }
+
+          const output = stdout.trim();
+          if (output.startsWith('{')) {
+            try {
+              const parsed = JSON.parse(output);
+              resolve({ username: parsed.username || auth.username, password: parsed.password });
+            } catch {
+              reject(new AuthError('Credential command printed invalid JSON'));
+            }
+            return;
+          }
+
+          const password = output.split('\n')[0];
+          if (!password) {
+            reject(new AuthError('Credential command printed no password'));
+            return;
+          }
+          resolve({ username: auth.username, password: password });
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Provider reading an entry of an encrypted credential file
+ * The file is JSON { <environment>: { username, password } } encrypted with
+ * AES-256-GCM (see lib/encryption.js), keyed by a separate key file.
+ * @param {string} environment - Environment key
+ * @param {Object} auth - auth block: file, keyFile (defaults in ~/.mft), username fallback
+ */
+export function fileCredentials(environment, auth = {}) {
+  const file = auth.file || DEFAULT_CREDENTIAL_FILE;
+
+  return {
+    name: 'file',
+    async getCredentials() {
+      if (!fs.existsSync(file)) {
+        throw new AuthError(`Credential file ${file} not found; create it with "mft credentials set"`);
+      }
+
+      let entries;
+      try {
+        entries = readCredentialFile(file, auth.keyFile || DEFAULT_CREDENTIAL_KEY);
+      } catch (error) {
+        if (!(error instanceof IntegrityError)) throw error;
+        throw new AuthError(`Could not decrypt ${file}; wrong key file?`);
+      }
+      const entry = entries[environment];
+      if (!entry?.password) {
+        throw new AuthError(`${file} has no credentials for environment "${environment}"`);
+      }
+      return { username: entry.username || auth.username, password: entry.password };
+    }
+  };
+}
+
+/**
+ * Provider asking a person, through a prompt function supplied by the demo or CLI
+ * @param {string} environment - Environment key
+ * @param {Object} auth - auth block with the username to ask for
+ * @param {Function} prompt - async ({ environment, username }) => password
+ */
+export function promptCredentials(environment, auth = {}, prompt) {
+  return {
+    name: 'prompt',
+    async getCredentials() {
+      if (!prompt) {
+        throw new AuthError(`Environment "${environment}" asks for its password, but nobody can be asked; set ${envVarName(environment)}`);
+      }
+      return { username: auth.username, password: await prompt({ environment: environment, username: auth.username }) };
+    }
+  };
+}
+
+/**
+ * Pick the provider for a client config
+ * @param {Object} config - Client config from environmentConfig() (environment, auth)
+ * @param {Object} options - prompt function for the "prompt" source, env variables (default: process.env)
+ * @returns {Object} Credential provider
+ */
+export function createCredentialProvider(config, options = {}) {
+  const auth = config.auth || {};
+  const environment = config.environment || 'default';
+  const env = options.env || process.env;
+  const source = auth.source || (auth.password !== undefined ? 'config' : 'env');
+
+  // A variable set for this run wins, e.g. in CI
+  if (env[envVarName(environment)] !== undefined) {
+    return envCredentials(environment, auth, env);
+  }
+
+  switch (source) {
+    case 'config':
+      return staticCredentials(auth);
+    case 'env':
+      return envCredentials(environment, auth, env);
+    case 'command':
+      if (!auth.command) throw new RequestError(`auth.source "command" needs auth.command (environment "${environment}")`);
+      return commandCredentials(auth.command, auth);
+    case 'file':
+      return fileCredentials(environment, auth);
+    case 'prompt':
+      return promptCredentials(environment, auth, options.prompt);
+    default:
+      throw new RequestError(`Unknown auth.source "${source}" (expected one of: ${CREDENTIAL_SOURCES.join(', ')})`);
+  }
+}
+
+/**
+ * Store credentials for an environment in an encrypted credential file
+ * The key file is created (random, owner-only) if it doesn't exist yet.
+ * @param {string} environment - Environment key
+ * @param {Object} credentials - { username, password }
+ * @param {Object} options - file and keyFile (defaults in ~/.mft)
+ * @returns {Object} { file, keyFile }
+ */
+export function saveFileCredentials(environment, credentials, options = {}) {
+  const file = options.file || DEFAULT_CREDENTIAL_FILE;
+  const keyFile = options.keyFile || DEFAULT_CREDENTIAL_KEY;
+
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+  }
+
+  const entries = fs.existsSync(file) ? readCredentialFile(file, keyFile) : {};
+  entries[environment] = { username: credentials.username, password: credentials.password };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, encryptBuffer(Buffer.from(JSON.stringify(entries)), readAesKey(keyFile)), { mode: 0o600 });
+
+  return { file, keyFile };
+}
+
+function readCredentialFile(file, keyFile) {
+  return JSON.parse(decryptBuffer(fs.readFileSync(file), readAesKey(keyFile)).toString('utf8'));
+}
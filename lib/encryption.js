@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform, pipeline as pipeStreams } from 'stream';
+import { pipeline } from 'stream/promises';
+import { RequestError, IntegrityError } from './errors.js';
+
+/**
+ * Client-side encryption
+ *
+ * "aes-256-gcm" uses a 32-byte key file. Files are laid out as
+ *   "ATGCM1" | 12-byte IV | ciphertext | 16-byte auth tag
+ * "pgp" encrypts to an OpenPGP public key with the optional openpgp package.
+ */
+
+/** Encryption types and the extension they add to the remote file name */
+export const ENCRYPTION_EXTENSIONS = {
+  'aes-256-gcm': '.enc',
+  pgp: '.pgp'
+};
+
+const AES_MAGIC = Buffer.from('ATGCM1');
+const AES_IV_LENGTH = 12;
+const AES_TAG_LENGTH = 16;
+
+/**
+ * Resolve an encrypt or decrypt option, reading its key files
+ * The type can be left out: keyFile means AES, a PGP key file means pgp.
+ * @param {Object} option - { type, keyFile } for AES, { type, publicKeyFile } to encrypt
+ *   or { type, privateKeyFile, passphrase } to decrypt with PGP; falsy for none
+ * @param {string} direction - "encrypt" or "decrypt"
+ * @returns {Object|null} { type, key } (AES key Buffer, or armored PGP key and passphrase), or null
+ */
+export function encryptionSettings(option, direction) {
+  if (!option) return null;
+
+  const pgpKeyOption = direction === 'encrypt' ? 'publicKeyFile' : 'privateKeyFile';
+  if (typeof option !== 'object') {
+    throw new RequestError(`${direction} needs an object such as { keyFile } or { ${pgpKeyOption} }`);
+  }
+
+  const pgpKeyFile = option[pgpKeyOption];
+  const type = option.type || (option.keyFile ? 'aes-256-gcm' : pgpKeyFile ? 'pgp' : null);
+
+  if (type === 'aes-256-gcm') {
+    if (!option.keyFile) throw new RequestError(`aes-256-gcm needs a keyFile to ${direction}`);
+    return { type: type, key: readAesKey(option.keyFile) };
+  }
+
+  if (type === 'pgp') {
+    if (!pgpKeyFile) {
+      throw new RequestError(`PGP needs a ${pgpKeyOption} to ${direction}`);
+    }
+    return { type: type, armoredKey: fs.readFileSync(pgpKeyFile, 'utf8'), passphrase: option.passphrase };
+  }
+
+  throw new RequestError(`Unsupported encryption type "${type}" (use ${Object.keys(ENCRYPTION_EXTENSIONS).join(', ')})`);
+}
+
+/**
+ * Read an AES-256 key: 32 raw bytes, or 64 hex characters, or base64
+ * @param {string} keyFile - Key file path
+ * @returns {Buffer} 32-byte key
+ */
+export function readAesKey(keyFile) {
+  const content = fs.readFileSync(keyFile);
+  if (content.length === 32) return content;
+
+  const text = content.toString('utf8').trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new RequestError(`${keyFile} is not a 256-bit key (32 raw bytes, 64 hex characters or base64)`);
+  }
+  return key;
+}
+
+/**
+ * Remote name of an encrypted file
+ * @returns {string} e.g. "report.csv.gz.pgp"
+ */
+export function encryptedFileName(name, settings) {
+  return settings ? name + ENCRYPTION_EXTENSIONS[settings.type] : name;
+}
+
+/**
+ * Name of a file once decrypted: the encryption extension is removed if present
+ * @returns {string} e.g. "report.csv.gz" for "report.csv.gz.pgp"
+ */
+export function decryptedFileName(name, settings) {
+  const extension = settings ? ENCRYPTION_EXTENSIONS[settings.type] : null;
+  return extension && name.toLowerCase().endsWith(extension) ? name.slice(0, -extension.length) : name;
+}
+
+/**
+ * Encrypt a stream as it is read
+ * @param {stream.Readable} source - Plain bytes
+ * @param {Object} settings - From encryptionSettings(option, 'encrypt')
+ * @returns {Promise<stream.Readable>} Encrypted stream
+ */
+export async function encryptStream(source, settings) {
+  if (settings.type === 'pgp') {
+    try {
+      const openpgp = await loadOpenPgp();
+      const encryptionKeys = await openpgp.readKey({ armoredKey: settings.armoredKey });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ binary: Readable.toWeb(source) }),
+        encryptionKeys: encryptionKeys,
+        format: 'binary'
+      });
+      return Readable.fromWeb(encrypted);
+    } catch (error) {
+      source.destroy();
+      throw error;
+    }
+  }
+
+  const iv = crypto.randomBytes(AES_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', settings.key, iv);
+  let started = false;
+
+  const encrypt = new Transform({
+    transform(chunk, encoding, callback) {
+      if (!started) {
+        started = true;
+        this.push(Buffer.concat([AES_MAGIC, iv]));
+      }
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      if (!started) this.push(Buffer.concat([AES_MAGIC, iv]));
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    }
+  });
+
+  // pipeline() passes a source error on to the returned stream; pipe() would lose it
+  return pipeStreams(source, encrypt, () => {});
+}
+
+/**
+ * Encrypt a small buffer with AES-256-GCM, in the same layout as encryptStream()
+ * @param {Buffer} plain - Bytes to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @returns {Buffer} Encrypted bytes
+ */
+export function encryptBuffer(plain, key) {
+  const iv = crypto.randomBytes(AES_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  return Buffer.concat([AES_MAGIC, iv, cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt a buffer written by encryptBuffer() or encryptStream()
+ * @param {Buffer} data - Encrypted bytes
+ * @param {Buffer} key - 32-byte key
+ * @returns {Buffer} Plain bytes; a wrong key or damaged data throws an IntegrityError
+ */
+export function decryptBuffer(data, key) {
+  const headerLength = AES_MAGIC.length + AES_IV_LENGTH;
+  if (data.length < headerLength + AES_TAG_LENGTH || !data.subarray(0, AES_MAGIC.length).equals(AES_MAGIC)) {
+    throw new RequestError('Data was not encrypted with aes-256-gcm by this client');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(AES_MAGIC.length, headerLength));
+    decipher.setAuthTag(data.subarray(data.length - AES_TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(headerLength, data.length - AES_TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new IntegrityError('Could not decrypt (wrong key or damaged data)', { algorithm: 'aes-256-gcm', cause: error });
+  }
+}
+
+/**
+ * Decrypt a local file into another
+ * Nothing should be trusted until this resolves: a wrong key or a damaged
+ * file is only detected at the end, and throws an IntegrityError.
+ * @param {string} inputPath - Encrypted file
+ * @param {string} outputPath - Where to write the plain file
+ * @param {Object} settings - From encryptionSettings(option, 'decrypt')
+ */
+export async function decryptFile(inputPath, outputPath, settings) {
+  try {
+    if (settings.type === 'pgp') {
+      await decryptPgp(inputPath, outputPath, settings);
+    } else {
+      await decryptAes(inputPath, outputPath, settings);
+    }
+  } catch (error) {
+    if (error instanceof RequestError || error.code === 'ENOENT' || error.code === 'EACCES') throw error;
+    throw new IntegrityError(`Could not decrypt ${inputPath} (wrong key or damaged file): ${error.message}`, {
+      algorithm: settings.type,
+      cause: error
+    });
+  }
+}
+
+async function decryptAes(inputPath, outputPath, settings) {
+  const size = fs.statSync(inputPath).size;
+  const headerLength = AES_MAGIC.length + AES_IV_LENGTH;
+
+  const handle = await fs.promises.open(inputPath, 'r');
+  const header = Buffer.alloc(headerLength);
+  const tag = Buffer.alloc(AES_TAG_LENGTH);
+  try {
+    if (size < headerLength + AES_TAG_LENGTH) {
+      throw new RequestError(`${inputPath} is too short to be AES-256-GCM encrypted`);
+    }
+    await handle.read(header, 0, headerLength, 0);
+    await handle.read(tag, 0, AES_TAG_LENGTH, size - AES_TAG_LENGTH);
+  } finally {
+    await handle.close();
+  }
+
+  if (!header.subarray(0, AES_MAGIC.length).equals(AES_MAGIC)) {
+    throw new RequestError(`${inputPath} was not encrypted with aes-256-gcm by this client`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', settings.key, header.subarray(AES_MAGIC.length));
+  decipher.setAuthTag(tag);
+
+  const ciphertextEnd = size - AES_TAG_LENGTH - 1;
+  const streams = ciphertextEnd >= headerLength
+    ? [fs.createReadStream(inputPath, { start: headerLength, end: ciphertextEnd }), decipher]
+    : [Readable.from([]), decipher];
+  await pipeline(...streams, fs.createWriteStream(outputPath));
+}
+
+async function decryptPgp(inputPath, outputPath, settings) {
+  const openpgp = await loadOpenPgp();
+  let decryptionKeys = await openpgp.readPrivateKey({ armoredKey: settings.armoredKey });
+  if (!decryptionKeys.isDecrypted()) {
+    decryptionKeys = await openpgp.decryptKey({ privateKey: decryptionKeys, passphrase: settings.passphrase });
+  }
+
+  const { data } = await openpgp.decrypt({
+    message: await openpgp.readMessage({ binaryMessage: Readable.toWeb(fs.createReadStream(inputPath)) }),
+    decryptionKeys: decryptionKeys,
+    format: 'binary'
+  });
+  await pipeline(Readable.fromWeb(data), fs.createWriteStream(outputPath));
+}
+
+/**
+ * Load openpgp on first use; it's only needed for PGP
+ */
+async function loadOpenPgp() {
+  try {
+    return await import('openpgp');
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new RequestError('PGP encryption needs the openpgp package (npm install openpgp)', { cause: error });
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Typed errors
+ * Client operations never throw; a failed operation resolves to a result with
+ * `success: false` and an `error` that is one of these classes, so callers
+ * can branch with `instanceof` or on `error.code`.
+ */
+
+/**
+ * Base class for every client error
+ */
+export class ActiveTransferError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - status (HTTP status), cause (original error)
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = 'ERROR';
+    this.status = options.status;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, status: this.status };
+  }
+}
+
+/** Login failed or the session expired (401, SaaS login page) */
+export class AuthError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'AUTH';
+  }
+}
+
+/** Authenticated but not allowed (403, VFS permissions, local EACCES) */
+export class PermissionError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'PERMISSION';
+  }
+}
+
+/** Remote or local path does not exist (404, 410, ENOENT) */
+export class NotFoundError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'NOT_FOUND';
+  }
+}
+
+/** Server unreachable or connection lost */
+export class NetworkError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'NETWORK';
+  }
+}
+
+/** Request or gateway timed out (408, 504, axios timeout) */
+export class TimeoutError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'TIMEOUT';
+  }
+}
+
+/** Server-side failure (5xx, SaaS failure response) */
+export class ServerError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'SERVER';
+  }
+}
+
+/** Request rejected for another reason (other 4xx, invalid arguments) */
+export class RequestError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'REQUEST';
+  }
+}
+
+/** Transferred bytes don't match the expected checksum */
+export class IntegrityError extends ActiveTransferError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - status, cause, plus algorithm, expected and actual (hex digests,
+   *   or byte counts when algorithm is "size")
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'INTEGRITY';
+    this.algorithm = options.algorithm;
+    this.expected = options.expected;
+    this.actual = options.actual;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), algorithm: this.algorithm, expected: this.expected, actual: this.actual };
+  }
+}
+
+/** Cancelled through an AbortSignal */
+export class CancelledError extends ActiveTransferError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'CANCELLED';
+  }
+}
+
+const NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_NETWORK',
+  'ERR_STREAM_PREMATURE_CLOSE'
+];
+
+/**
+ * Map any error to a typed error
+ * HTTP status wins; without a response the Node/axios error code decides.
+ * @param {Error} error - Error thrown by a backend, axios or fs
+ * @param {string} message - Message to use instead of error.message
+ * @returns {ActiveTransferError} Typed error with the original as `cause`
+ */
+export function toTypedError(error, message = error.message) {
+  if (error instanceof ActiveTransferError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const options = { status: status, cause: error };
+
+  // axios reports an aborted request as ERR_CANCELED, streams as AbortError
+  if (error.code === 'ERR_CANCELED' || error.code === 'ABORT_ERR' || error.name === 'AbortError') {
+    return new CancelledError(message, options);
+  }
+
+  if (status) {
+    if (status === 401 || error.sessionExpired) return new AuthError(message, options);
+    if (status === 403) return new PermissionError(message, options);
+    if (status === 404 || status === 410) return new NotFoundError(message, options);
+    if (status === 408 || status === 504) return new TimeoutError(message, options);
+    if (status >= 500) return new ServerError(message, options);
+    return new RequestError(message, options);
+  }
+
+  if (error.sessionExpired) return new AuthError(message, options);
+  if (error.code === 'ENOENT') return new NotFoundError(message, options);
+  if (error.code === 'EACCES' || error.code === 'EPERM') return new PermissionError(message, options);
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return new TimeoutError(message, options);
+  }
+  if (NETWORK_CODES.includes(error.code)) return new NetworkError(message, options);
+
+  return new ActiveTransferError(message, options);
+}
+
+/**
+ * Check a SaaS command result for a failure reported in the body
+ * The WebInterface answers most commands with HTTP 200 and puts the outcome in
+ * <response>...</response> (XML) or a "response" field (JSON).
+ * @param {*} data - Response body
+ * @returns {ActiveTransferError|null} Typed error, or null if the body reports success
+ */
+export function errorFromSaaSResponse(data) {
+  let text = null;
+
+  if (typeof data === 'string') {
+    const match = /<response>([\s\S]*?)<\/response>/i.exec(data);
+    text = match ? match[1].trim() : null;
+  } else if (data && typeof data === 'object' && typeof data.response === 'string') {
+    text = data.response.trim();
+  }
+
+  if (!text) return null;
+
+  const message = `SaaS command failed: ${text}`;
+  if (/not found|does ?n[o']t exist|no such/i.test(text)) return new NotFoundError(message, { status: 404 });
+  if (/denied|not allowed|permission/i.test(text)) return new PermissionError(message, { status: 403 });
+  if (/login|session/i.test(text) && /fail|expired|invalid/i.test(text)) return new AuthError(message, { status: 401 });
+  if (/^(failure|failed|error)\b/i.test(text)) return new ServerError(message);
+
+  return null;
+}
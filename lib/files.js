@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+
+/**
+ * List all files under a local directory
+ * @param {string} rootDir - Directory to walk
+ * @returns {Array<Object>} { localPath, relativePath } with POSIX relative paths
+ */
+export function walkLocal(rootDir) {
+  const files = [];
+
+  function visit(dir) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        visit(fullPath);
+      } else if (dirent.isFile()) {
+        files.push({
+          localPath: fullPath,
+          relativePath: path.relative(rootDir, fullPath).split(path.sep).join('/')
+        });
+      }
+    }
+  }
+
+  visit(rootDir);
+  return files;
+}
+
+/**
+ * Check a relative path against include/exclude glob patterns
+ * Patterns without a slash match the file name at any depth ("*.csv").
+ * @param {string} relativePath - POSIX path relative to the transfer root
+ * @param {Object} filters - include and exclude pattern arrays (or single strings)
+ * @returns {boolean} True if the path should be transferred
+ */
+export function matchesFilters(relativePath, filters = {}) {
+  const include = [].concat(filters.include || []);
+  const exclude = [].concat(filters.exclude || []);
+  const matchOptions = { dot: true, matchBase: true };
+
+  if (include.length && !include.some((pattern) => minimatch(relativePath, pattern, matchOptions))) {
+    return false;
+  }
+
+  return !exclude.some((pattern) => minimatch(relativePath, pattern, matchOptions));
+}
+
+/**
+ * List all folders under a local directory
+ * @param {string} rootDir - Directory to walk
+ * @returns {string[]} POSIX paths relative to rootDir
+ */
+export function walkLocalDirs(rootDir) {
+  const dirs = [];
+
+  function visit(dir) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (dirent.isDirectory()) {
+        const fullPath = path.join(dir, dirent.name);
+        dirs.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+        visit(fullPath);
+      }
+    }
+  }
+
+  visit(rootDir);
+  return dirs;
+}
+
+/**
+ * List the local files matching a glob pattern
+ * The pattern is split into a plain base folder, which is walked, and the
+ * rest, which is matched against paths relative to it: "./logs/2024-*.log"
+ * walks ./logs.
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} { baseDir, files } with files as returned by walkLocal(baseDir)
+ */
+export function globLocal(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const magic = segments.findIndex((segment) => /[*?[\]{}!]/.test(segment));
+  // Without wildcards the pattern names a single file
+  const firstMagic = magic < 0 ? segments.length - 1 : magic;
+  const baseDir = segments.slice(0, firstMagic).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const rest = segments.slice(firstMagic).join('/');
+
+  return {
+    baseDir: baseDir,
+    files: walkLocal(baseDir).filter((file) => minimatch(file.relativePath, rest, { dot: true }))
+  };
+}
+
+/**
+ * First free variant of a file name: "report.csv", then "report-1.csv", "report-2.csv", ...
+ * @param {string} name - File name
+ * @param {Function} taken - (name) => true if the name is in use
+ * @returns {string} Name that isn't taken
+ */
+export function availableName(name, taken) {
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  let candidate = name;
+  for (let i = 1; taken(candidate); i++) {
+    candidate = `${base}-${i}${extension}`;
+  }
+  return candidate;
+}
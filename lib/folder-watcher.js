@@ -0,0 +1,208 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import StateStore from './state-store.js';
+import { matchesFilters, availableName } from './files.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Watch folder that uploads the files dropped into it
+ *
+ * The folder is scanned every `interval` ms (top level only; hidden files are
+ * ignored). A new or changed file is uploaded once its size and modification
+ * time have stayed the same for `stableMs`, so files still being written are
+ * left alone. Afterwards it is moved to the sent/ or failed/ subfolder.
+ *
+ * Outcomes are recorded in a state file by name, size and modification time.
+ * A file that was uploaded but not yet moved when the process stopped is
+ * moved on restart without being sent again; a file put back from failed/ is
+ * retried.
+ *
+ * Events:
+ *   detected (file), uploading (file), sent (file), failed (file), error (error)
+ * Files are { name, localPath, size }, plus remotePath and result once uploaded.
+ */
+class FolderWatcher extends EventEmitter {
+  /**
+   * @param {ActiveTransferClient} client - Client that performs the uploads
+   * @param {string} localDir - Folder to watch
+   * @param {string} remoteDir - Remote destination folder
+   * @param {Object} options - See ActiveTransferClient.watch()
+   */
+  constructor(client, localDir, remoteDir, options = {}) {
+    super();
+    const { interval, stableMs, include, exclude, sentDir, failedDir, stateFile, concurrency, signal, ...uploadOptions } = options;
+
+    this.client = client;
+    this.localDir = localDir;
+    this.remoteDir = remoteDir;
+    this.interval = interval ?? 2000;
+    this.stableMs = stableMs ?? 2000;
+    this.filters = { include, exclude };
+    this.sentDir = sentDir || path.join(localDir, 'sent');
+    this.failedDir = failedDir || path.join(localDir, 'failed');
+    this.concurrency = concurrency || client.concurrency;
+    this.signal = signal;
+    this.uploadOptions = uploadOptions;
+    this.record = new StateStore(stateFile || path.join(localDir, '.mft-watch.json'));
+    // name -> { size, mtimeMs, since } for files waiting to become stable
+    this.candidates = new Map();
+    this.counts = { sent: 0, failed: 0 };
+    this.controller = null;
+    this.timer = null;
+    this.scanning = null;
+  }
+
+  /**
+   * Create the folders, read the record and start scanning
+   * @returns {FolderWatcher} this
+   */
+  start() {
+    if (this.controller) return this;
+
+    for (const dir of [this.localDir, this.sentDir, this.failedDir]) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    this.record.load();
+
+    this.controller = new AbortController();
+    this.signal?.addEventListener('abort', () => this.stop(), { once: true });
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop scanning; uploads in flight are cancelled and their files stay put
+   * @returns {Promise<Object>} { sent, failed } counts since start()
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    await this.scanning;
+    return { ...this.counts };
+  }
+
+  get running() {
+    return Boolean(this.controller) && !this.controller.signal.aborted;
+  }
+
+  tick() {
+    this.scanning = this.scan()
+      .catch((error) => this.report(error))
+      .finally(() => {
+        this.scanning = null;
+        if (this.running) {
+          this.timer = setTimeout(() => this.tick(), this.interval);
+        }
+      });
+  }
+
+  async scan() {
+    const now = Date.now();
+    const seen = new Set();
+    const ready = [];
+
+    for (const dirent of fs.readdirSync(this.localDir, { withFileTypes: true })) {
+      if (!dirent.isFile() || dirent.name.startsWith('.') || !matchesFilters(dirent.name, this.filters)) continue;
+
+      const file = { name: dirent.name, localPath: path.join(this.localDir, dirent.name) };
+      let stats;
+      try {
+        stats = fs.statSync(file.localPath);
+      } catch {
+        continue; // gone since readdir
+      }
+      file.size = stats.size;
+      file.mtimeMs = stats.mtimeMs;
+      seen.add(file.name);
+
+      const recorded = this.record.get(file.name);
+      if (recorded?.status === 'sent' && recorded.size === file.size && recorded.mtimeMs === file.mtimeMs) {
+        // Uploaded before a restart, but never moved
+        this.moveTo(this.sentDir, file);
+        continue;
+      }
+
+      const candidate = this.candidates.get(file.name);
+      if (!candidate || candidate.size !== file.size || candidate.mtimeMs !== file.mtimeMs) {
+        // since: when the file last changed
+        this.candidates.set(file.name, { size: file.size, mtimeMs: file.mtimeMs, since: now });
+        if (!candidate) this.emit('detected', publicFile(file));
+        continue;
+      }
+
+      if (now - candidate.since >= this.stableMs) {
+        ready.push(file);
+      }
+    }
+
+    for (const name of this.candidates.keys()) {
+      if (!seen.has(name)) this.candidates.delete(name);
+    }
+
+    await mapWithConcurrency(ready, this.concurrency, (file) => this.send(file).catch((error) => this.report(error)));
+  }
+
+  async send(file) {
+    if (!this.running) return;
+    this.candidates.delete(file.name);
+    this.emit('uploading', publicFile(file));
+
+    const result = await this.client.uploadFile(file.localPath, this.remoteDir, {
+      ...this.uploadOptions,
+      signal: this.controller.signal
+    });
+    // Stopped mid-upload: leave the file for the next run
+    if (result.cancelled) return;
+
+    const status = result.success ? 'sent' : 'failed';
+    const remotePath = path.posix.join(this.remoteDir, result.fileName || file.name);
+    this.record.set(file.name, {
+      status: status,
+      size: file.size,
+      mtimeMs: file.mtimeMs,
+      remotePath: remotePath,
+      message: result.message,
+      at: new Date().toISOString()
+    });
+
+    const movedTo = this.moveTo(status === 'sent' ? this.sentDir : this.failedDir, file);
+    this.counts[status]++;
+    this.emit(status, { ...publicFile(file), localPath: movedTo, remotePath: remotePath, result: result });
+  }
+
+  /**
+   * Move a file into sent/ or failed/, next to any earlier file of the same name
+   * @returns {string} New local path
+   */
+  moveTo(dir, file) {
+    const target = path.join(dir, availableName(file.name, (name) => fs.existsSync(path.join(dir, name))));
+
+    try {
+      fs.renameSync(file.localPath, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      // sent/ or failed/ on another file system
+      fs.copyFileSync(file.localPath, target);
+      fs.rmSync(file.localPath);
+    }
+    return target;
+  }
+
+  /**
+   * Log a scan or move problem; the watcher keeps going
+   */
+  report(error) {
+    this.client.logger.warn('Watch folder problem', { localDir: this.localDir, message: error.message });
+    if (this.listenerCount('error')) {
+      this.emit('error', error);
+    }
+  }
+}
+
+function publicFile(file) {
+  return { name: file.name, localPath: file.localPath, size: file.size };
+}
+
+export default FolderWatcher;
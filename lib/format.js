@@ -0,0 +1,105 @@
+/**
+ * Formatting helpers for terminal front ends (CLI and demo)
+ */
+
+/**
+ * Human-readable byte count, e.g. 1536 → "1.5 KB"
+ */
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatDate(date) {
+  if (!date) return '';
+  // "2024-05-01 13:45" in local time
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Render normalized listing entries as a table, folders first, then by name
+ * @param {Array<Object>} entries - Entries from listFiles()
+ * @returns {string} Table text
+ */
+export function formatListing(entries) {
+  if (!entries.length) return '(empty folder)';
+
+  const sorted = [...entries].sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'dir' ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  const rows = sorted.map((entry) => [
+    entry.type === 'dir' ? '📁' : '📄',
+    entry.name + (entry.type === 'dir' ? '/' : ''),
+    entry.type === 'dir' ? '' : formatBytes(entry.size),
+    formatDate(entry.modified),
+    entry.permissions || ''
+  ]);
+
+  const header = ['', 'Name', 'Size', 'Modified', 'Permissions'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const line = (row) => row
+    .map((cell, column) => (column === 2 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+    .join('  ')
+    .trimEnd();
+
+  return [line(header), ...rows.map(line)].join('\n');
+}
+
+/**
+ * One line on how a transfer's checksum was checked
+ * @param {Object} checksum - checksum field of an uploadFile()/downloadFile() result
+ * @returns {string} e.g. "sha256 ab12… (verified against server checksum)"
+ */
+export function describeChecksum(checksum) {
+  const value = `${checksum.algorithm} ${checksum.value}`;
+  if (checksum.verifiedBy) return `${value} (verified against ${checksum.verifiedBy} checksum)`;
+  if (checksum.sidecar) return `${value} (published as ${checksum.sidecar})`;
+  return `${value} (not verified)`;
+}
+
+/**
+ * Render transfer journal records as a table, in the order given
+ * @param {Array<Object>} records - Records from history()
+ * @returns {string} Table text
+ */
+export function formatHistory(records) {
+  if (!records.length) return '(no transfers recorded)';
+
+  const icons = { success: '✅', failed: '❌', cancelled: '⏹️' };
+  const rows = records.map((record) => [
+    icons[record.status] || '❔',
+    formatDate(new Date(record.timestamp)),
+    record.environment || '',
+    record.operation,
+    transferPaths(record),
+    formatBytes(record.size),
+    record.durationMs === undefined ? '' : `${(record.durationMs / 1000).toFixed(1)}s`,
+    record.error ? `${record.error.type}: ${record.error.message}` : ''
+  ]);
+
+  const header = ['', 'When', 'Environment', 'Operation', 'Path', 'Size', 'Time', 'Error'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const line = (row) => row
+    .map((cell, column) => (column === 5 || column === 6 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+    .join('  ')
+    .trimEnd();
+
+  return [line(header), ...rows.map(line)].join('\n');
+}
+
+function transferPaths(record) {
+  if (record.operation === 'upload') return `${record.localPath} → ${record.remotePath}`;
+  if (record.operation === 'download' && record.localPath) return `${record.remotePath} → ${record.localPath}`;
+  if (record.operation === 'rename') return `${record.remotePath} → ${record.newPath}`;
+  return record.remotePath || '';
+}
@@ -0,0 +1,212 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import StateStore from './state-store.js';
+import { matchesFilters, availableName } from './files.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { RequestError } from './errors.js';
+
+/**
+ * Remote inbox poller that downloads the files dropped into a remote folder
+ *
+ * The folder is listed every `interval` ms (top level only). Each new file is
+ * downloaded with downloadFile(), then deleted from the server or renamed
+ * into the archive folder when asked to.
+ *
+ * Progress is recorded in a state file per remote path, with the size and
+ * modification time the file was listed with, so each file is processed
+ * exactly once across restarts: a downloaded file isn't fetched again, and a
+ * download whose delete or archive step failed only retries that step. A
+ * remote file that changes (new size or time) counts as a new file.
+ *
+ * Events:
+ *   found (file), downloaded (file), processed (file), failed (file), error (error)
+ * Files are { name, remotePath, size, modified }, plus localPath once
+ * downloaded, archivedTo or deleted once processed, and stage ('download',
+ * 'delete' or 'archive') and result when failed.
+ */
+class InboxPoller extends EventEmitter {
+  /**
+   * @param {ActiveTransferClient} client - Client that performs the downloads
+   * @param {string} remoteDir - Remote folder to poll
+   * @param {string} localDir - Local destination folder
+   * @param {Object} options - See ActiveTransferClient.poll()
+   */
+  constructor(client, remoteDir, localDir, options = {}) {
+    super();
+    const { interval, pattern, deleteAfterDownload, archiveTo, stateFile, concurrency, signal, ...downloadOptions } = options;
+
+    if (deleteAfterDownload && archiveTo) {
+      throw new RequestError('Use either deleteAfterDownload or archiveTo, not both');
+    }
+
+    this.client = client;
+    this.remoteDir = remoteDir;
+    this.localDir = localDir;
+    this.interval = interval ?? 60000;
+    this.pattern = pattern;
+    this.deleteAfterDownload = Boolean(deleteAfterDownload);
+    this.archiveTo = archiveTo || null;
+    this.concurrency = concurrency || client.concurrency;
+    this.signal = signal;
+    this.downloadOptions = downloadOptions;
+    this.record = new StateStore(stateFile || path.join(localDir, '.mft-poll.json'));
+    this.counts = { downloaded: 0, failed: 0 };
+    this.archiveReady = false;
+    this.controller = null;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Create the local folder, read the record and start polling
+   * @returns {InboxPoller} this
+   */
+  start() {
+    if (this.controller) return this;
+
+    fs.mkdirSync(this.localDir, { recursive: true });
+    this.record.load();
+
+    this.controller = new AbortController();
+    this.signal?.addEventListener('abort', () => this.stop(), { once: true });
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop polling; downloads in flight are cancelled and picked up by the next run
+   * @returns {Promise<Object>} { downloaded, failed } counts since start()
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    await this.polling;
+    return { ...this.counts };
+  }
+
+  get running() {
+    return Boolean(this.controller) && !this.controller.signal.aborted;
+  }
+
+  tick() {
+    this.polling = this.poll()
+      .catch((error) => this.report(error))
+      .finally(() => {
+        this.polling = null;
+        if (this.running) {
+          this.timer = setTimeout(() => this.tick(), this.interval);
+        }
+      });
+  }
+
+  async poll() {
+    const listing = await this.client.listFiles(this.remoteDir);
+    if (!listing.success) {
+      this.report(listing.error);
+      return;
+    }
+
+    const files = listing.data
+      .filter((entry) => entry.type === 'file')
+      .filter((entry) => !this.pattern || matchesFilters(entry.name, { include: this.pattern }))
+      .map((entry) => ({
+        name: entry.name,
+        remotePath: entry.path,
+        size: entry.size,
+        modified: entry.modified ? entry.modified.toISOString() : null
+      }))
+      .filter((file) => {
+        const recorded = this.record.get(file.remotePath);
+        return !(recorded && recorded.size === file.size && recorded.modified === file.modified && recorded.status === 'done');
+      });
+
+    await mapWithConcurrency(files, this.concurrency, (file) => this.process(file).catch((error) => this.report(error)));
+  }
+
+  async process(file) {
+    if (!this.running) return;
+
+    const recorded = this.record.get(file.remotePath);
+    const alreadyDownloaded = recorded?.status === 'downloaded' && recorded.size === file.size && recorded.modified === file.modified;
+    let localPath = alreadyDownloaded ? recorded.localPath : null;
+
+    if (!alreadyDownloaded) {
+      this.emit('found', { ...file });
+      const name = availableName(file.name, (candidate) => fs.existsSync(path.join(this.localDir, candidate)));
+      const result = await this.client.downloadFile(file.remotePath, path.join(this.localDir, name), {
+        ...this.downloadOptions,
+        signal: this.controller.signal
+      });
+      // Stopped mid-download: the .part file is resumed by the next run
+      if (result.cancelled) return;
+
+      if (!result.success) {
+        this.counts.failed++;
+        this.emit('failed', { ...file, stage: 'download', result: result });
+        return;
+      }
+
+      localPath = result.localPath;
+      this.record.set(file.remotePath, { status: 'downloaded', size: file.size, modified: file.modified, localPath: localPath });
+      this.counts.downloaded++;
+      this.emit('downloaded', { ...file, localPath: localPath, result: result });
+    }
+
+    const done = { status: 'done', size: file.size, modified: file.modified, localPath: localPath, at: new Date().toISOString() };
+
+    if (this.deleteAfterDownload) {
+      const result = await this.client.delete(file.remotePath);
+      if (!result.success) {
+        this.counts.failed++;
+        this.emit('failed', { ...file, localPath: localPath, stage: 'delete', result: result });
+        return;
+      }
+      done.deleted = true;
+    } else if (this.archiveTo) {
+      const result = await this.archive(file);
+      if (!result.success) {
+        this.counts.failed++;
+        this.emit('failed', { ...file, localPath: localPath, stage: 'archive', result: result });
+        return;
+      }
+      done.archivedTo = result.archivedTo;
+    }
+
+    this.record.set(file.remotePath, done);
+    this.emit('processed', { ...file, localPath: localPath, deleted: done.deleted, archivedTo: done.archivedTo });
+  }
+
+  /**
+   * Rename a remote file into the archive folder, next to any earlier file of the same name
+   * @returns {Promise<Object>} Client result with archivedTo
+   */
+  async archive(file) {
+    if (!this.archiveReady) {
+      const failed = (await this.client.ensureRemoteFolders([this.archiveTo])).find((folder) => !folder.success);
+      if (failed) return failed;
+      this.archiveReady = true;
+    }
+
+    const listing = await this.client.listFiles(this.archiveTo);
+    if (!listing.success) return listing;
+
+    const names = new Set(listing.data.map((entry) => entry.name));
+    const archivedTo = path.posix.join(this.archiveTo, availableName(file.name, (name) => names.has(name)));
+    const result = await this.client.rename(file.remotePath, archivedTo);
+    return { ...result, archivedTo: archivedTo };
+  }
+
+  /**
+   * Log a listing or local problem; the poller keeps going
+   */
+  report(error) {
+    this.client.logger.warn('Inbox poll problem', { remoteDir: this.remoteDir, message: error.message });
+    if (this.listenerCount('error')) {
+      this.emit('error', error);
+    }
+  }
+}
+
+export default InboxPoller;
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { RequestError } from './errors.js';
+
+/**
+ * Transfer journal
+ * An append-only JSONL file with one record per upload, download, delete and
+ * rename, written when the call finishes:
+ *   { timestamp, operation, environment, server, user, localPath, remotePath,
+ *     newPath, size, checksum, durationMs, status, error }
+ * status is "success", "failed" or "cancelled"; error is { type, message }.
+ * One journal can be shared by all environments and processes.
+ */
+
+export const DEFAULT_JOURNAL_FILE = path.join(os.homedir(), '.mft', 'transfers.jsonl');
+
+export const JOURNAL_STATUSES = ['success', 'failed', 'cancelled'];
+
+class TransferJournal {
+  /**
+   * @param {string} file - JSONL file (default: ~/.mft/transfers.jsonl)
+   */
+  constructor(file = DEFAULT_JOURNAL_FILE) {
+    this.file = file;
+  }
+
+  /**
+   * Append a record
+   * Each record is one write of one line, so processes sharing the file don't interleave.
+   * @param {Object} record - Journal record
+   */
+  append(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n', { mode: 0o600 });
+  }
+
+  /**
+   * Read records, newest first
+   * Lines that aren't valid JSON (a crash mid-write) are skipped.
+   * @param {Object} filters - All given filters must match
+   * @param {Date|string|number} filters.since - Only records at or after this time
+   * @param {Date|string|number} filters.until - Only records before this time
+   * @param {string|string[]} filters.environment - Environment keys
+   * @param {string|string[]} filters.status - "success", "failed" or "cancelled"
+   * @param {string|string[]} filters.operation - "upload", "download", "delete" or "rename"
+   * @param {string} filters.path - Text that the local or remote path must contain
+   * @param {number} filters.limit - Most recent records to return (default: all)
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async query(filters = {}) {
+    const since = filterDate(filters.since, 'since');
+    const until = filterDate(filters.until, 'until');
+    const environments = filterList(filters.environment);
+    const statuses = filterList(filters.status);
+    const operations = filterList(filters.operation);
+
+    if (!fs.existsSync(this.file)) return [];
+
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const time = new Date(record.timestamp);
+      if (since && !(time >= since)) continue;
+      if (until && !(time < until)) continue;
+      if (environments && !environments.includes(record.environment)) continue;
+      if (statuses && !statuses.includes(record.status)) continue;
+      if (operations && !operations.includes(record.operation)) continue;
+      if (filters.path && ![record.localPath, record.remotePath, record.newPath].some((value) => value?.includes(filters.path))) continue;
+
+      records.push(record);
+    }
+
+    records.reverse();
+    return filters.limit ? records.slice(0, filters.limit) : records;
+  }
+}
+
+/**
+ * Journal from a config or client option
+ * @param {TransferJournal|string|boolean} setting - Journal instance, file path, true for
+ *   ~/.mft/transfers.jsonl, or false to turn journaling off (default: off)
+ * @returns {TransferJournal|null} Journal, or null when off
+ */
+export function createJournal(setting) {
+  if (!setting) return null;
+  if (typeof setting.append === 'function') return setting;
+  return new TransferJournal(typeof setting === 'string' ? setting : DEFAULT_JOURNAL_FILE);
+}
+
+function filterDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RequestError(`Invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+function filterList(value) {
+  const list = [].concat(value ?? []).filter(Boolean);
+  return list.length ? list : null;
+}
+
+export default TransferJournal;
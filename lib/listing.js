@@ -0,0 +1,66 @@
+import path from 'path';
+
+/**
+ * Directory listing normalization
+ * Turns the listing payloads of the different servers into plain entries:
+ * { name, path, type: 'file' | 'dir', size, modified, permissions }
+ */
+
+/**
+ * Find the array of items in a listing payload
+ * SaaS getXMLListing puts them under "listing"; on-prem /api/list answers
+ * with an array or wraps it in "files", "items" or "entries".
+ */
+function listingItems(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return [];
+
+  for (const key of ['listing', 'files', 'items', 'entries', 'children']) {
+    if (Array.isArray(data[key])) return data[key];
+  }
+
+  return [];
+}
+
+function entryType(item) {
+  const type = String(item.type || '').toLowerCase();
+  if (['dir', 'directory', 'folder'].includes(type)) return 'dir';
+  if (type === 'file') return 'file';
+  if (item.isDirectory === true || item.directory === true || item.isFolder === true) return 'dir';
+  if (item.isFile === false) return 'dir';
+  return 'file';
+}
+
+function entryModified(item) {
+  const value = item.modified ?? item.lastModified ?? item.modifiedDate ?? item.mtime;
+  if (value === undefined || value === null || value === '') return null;
+
+  // SaaS sends epoch milliseconds as a string
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalize a listing payload
+ * @param {*} data - Raw listing payload from a backend
+ * @param {string} parentPath - Remote directory the listing is for
+ * @returns {Array<Object>} Normalized entries
+ */
+export function normalizeListing(data, parentPath = '/') {
+  return listingItems(data)
+    .map((item) => {
+      const name = item.name ?? item.fileName ?? item.filename ?? path.posix.basename(item.path || '');
+      const type = entryType(item);
+      const size = Number(item.size ?? item.length ?? 0);
+
+      return {
+        name: name,
+        path: item.path || item.href_path || path.posix.join(parentPath, name),
+        type: type,
+        size: type === 'dir' || isNaN(size) ? 0 : size,
+        modified: entryModified(item),
+        permissions: item.permissions ?? item.privs ?? null
+      };
+    })
+    .filter((entry) => entry.name && entry.name !== '.' && entry.name !== '..');
+}
@@ -0,0 +1,69 @@
+/**
+ * Loggers
+ * The client logs through an injected logger with four levels, each called
+ * as logger.<level>(message, fields) where fields is a plain object of
+ * structured data. The default logger discards everything, so the library
+ * stays silent when embedded; the CLI and demo pass a console logger.
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const ICONS = {
+  debug: '🔍',
+  info: 'ℹ️ ',
+  warn: '⚠️ ',
+  error: '❌'
+};
+
+/**
+ * Logger that discards everything (library default)
+ */
+export const noopLogger = Object.freeze({
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+});
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Human-readable logger for terminals
+ * Fields are printed inline, except at debug level where they are dumped as JSON.
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level printed: debug, info, warn, error or silent (default: info)
+ * @param {stream.Writable} options.stream - Output stream (default: process.stderr)
+ * @returns {Object} Logger
+ */
+export function createConsoleLogger(options = {}) {
+  const threshold = LOG_LEVELS[options.level || 'info'] ?? LOG_LEVELS.info;
+  const stream = options.stream || process.stderr;
+  const logger = {};
+
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (message, fields) => {
+      if (LOG_LEVELS[level] < threshold) return;
+
+      let line = `${ICONS[level]} ${message}`;
+      if (fields && Object.keys(fields).length) {
+        line += level === 'debug'
+          ? '\n' + JSON.stringify(fields, null, 2)
+          : ` (${formatFields(fields)})`;
+      }
+      stream.write(line + '\n');
+    };
+  }
+
+  return logger;
+}
@@ -0,0 +1,519 @@
+import crypto from 'crypto';
+import { once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local stand-in for an Active Transfer server
+ *
+ * Serves the on-prem /api endpoints (Basic Auth) and the SaaS
+ * /WebInterface/function/ commands (login cookie) over a local folder, so the
+ * client, demo and CLI can be run and tested offline. Request bodies are read
+ * into memory; it is meant for test-sized files.
+ *
+ * Faults are queued with injectFault() and used up by the next matching
+ * requests:
+ *   { operation, status }            answer with an HTTP error status
+ *   { operation, delayMs }           answer late
+ *   { operation, stall: true }       never answer; the client has to time out
+ *   { operation, drop: true }        close the connection without an answer
+ *   { operation, drop, afterBytes }  download: close after sending some bytes
+ *   { operation, ignoreOffset }      STOR: write a part over the file instead of appending it
+ *   { operation, expireSession }     forget all SaaS sessions first
+ * operation is an on-prem endpoint ("upload", "list", ...) or a SaaS command
+ * ("login", "getXMLListing", "STOR", ...); leave it out to match any request.
+ * times (default: 1) repeats a fault for that many requests.
+ */
+
+const FUNCTION_ENDPOINT = '/WebInterface/function/';
+const SESSION_COOKIE = 'CrushAuth';
+const LOGIN_PAGE = '<html><head><title>Login</title></head><body><form id="login">Login</form></body></html>';
+
+class MockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class MockActiveTransferServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.root - Folder served as "/" (default: a new temp folder, removed by stop())
+   * @param {string} options.username - Accepted user name (default: "mock")
+   * @param {string} options.password - Accepted password (default: "mock")
+   * @param {boolean} options.reportChecksums - Send SHA-256 checksums in on-prem upload responses and download headers
+   */
+  constructor(options = {}) {
+    this.ownsRoot = !options.root;
+    this.root = path.resolve(options.root || fs.mkdtempSync(path.join(os.tmpdir(), 'mft-mock-')));
+    this.username = options.username || 'mock';
+    this.password = options.password || 'mock';
+    this.reportChecksums = Boolean(options.reportChecksums);
+    this.faults = [];
+    this.sessions = new Set();
+    // { type: 'onprem' | 'saas', operation, path, range } for every request received
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+        }
+        res.end(JSON.stringify({ message: error.message }));
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (default: 0, any free port)
+   * @param {string} host - Interface (default: 127.0.0.1)
+   * @returns {Promise<string>} Base URL, e.g. "http://127.0.0.1:49152"
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.host = host;
+        this.port = this.server.address().port;
+        this.url = `http://${host}:${this.port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, dropping open connections; a temp root folder is removed
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    if (this.ownsRoot) {
+      fs.rmSync(this.root, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Client config for this server
+   * @param {string} type - "onprem" or "saas"
+   * @returns {Object} Config for new ActiveTransferClient(config)
+   */
+  clientConfig(type = 'onprem') {
+    return {
+      environment: `mock-${type}`,
+      server: { type: type, protocol: 'http', host: this.host, port: this.port },
+      auth: { username: this.username, password: this.password }
+    };
+  }
+
+  /**
+   * Queue a fault for the next matching requests (see the top of this file)
+   * @param {Object} fault - operation, status, delayMs, stall, drop, afterBytes, ignoreOffset, expireSession, times
+   */
+  injectFault(fault) {
+    this.faults.push({ times: 1, ...fault });
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Forget all SaaS sessions, as if they had timed out
+   */
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    const type = url.pathname.startsWith('/api/') ? 'onprem' : url.pathname === FUNCTION_ENDPOINT ? 'saas' : null;
+
+    if (!type || req.method !== 'POST') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `No such endpoint: ${req.method} ${url.pathname}` }));
+      return;
+    }
+
+    const request = parseBody(req.headers['content-type'], body);
+    const operation = type === 'onprem' ? url.pathname.slice('/api/'.length) : request.fields.command || request.fields.the_action;
+    this.requests.push({
+      type: type,
+      operation: operation,
+      path: request.fields.path || request.fields.uploadPath || request.fields.names,
+      range: req.headers.range || null
+    });
+
+    const fault = this.takeFault(operation);
+    if (fault) {
+      if (fault.delayMs) await new Promise((resolve) => setTimeout(resolve, fault.delayMs));
+      if (fault.expireSession) this.expireSessions();
+      if (fault.stall) return;
+      if (fault.drop && !fault.afterBytes) {
+        req.socket.destroy();
+        return;
+      }
+      if (fault.status) {
+        res.writeHead(fault.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: `Injected fault: ${fault.status}` }));
+        return;
+      }
+    }
+
+    const context = { req, res, request, fault };
+    try {
+      if (type === 'onprem') {
+        await this.handleOnPrem(operation, context);
+      } else {
+        await this.handleSaaS(operation, context);
+      }
+    } catch (error) {
+      if (!(error instanceof MockError)) throw error;
+      this.sendError(type, operation, res, error);
+    }
+  }
+
+  takeFault(operation) {
+    const index = this.faults.findIndex((fault) => !fault.operation || [].concat(fault.operation).includes(operation));
+    if (index < 0) return null;
+
+    const fault = this.faults[index];
+    if (--fault.times <= 0) {
+      this.faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  async handleOnPrem(operation, { req, res, request, fault }) {
+    const expected = 'Basic ' + Buffer.from(`${this.username}:${this.password}`).toString('base64');
+    if (req.headers.authorization !== expected) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Basic realm="ActiveTransfer"' });
+      res.end(JSON.stringify({ message: 'Unauthorized' }));
+      return;
+    }
+
+    const { fields } = request;
+    switch (operation) {
+      case 'upload': {
+        const file = request.files.file;
+        if (!file) throw new MockError(400, 'Missing file part');
+        const stored = this.store(fields.uploadPath, file);
+        return sendJson(res, { path: stored.path, size: stored.content.length, ...this.checksumOf(stored.content) });
+      }
+      case 'download':
+        return this.sendFile(fields.path, req, res, fault);
+      case 'list':
+        return sendJson(res, this.entries(fields.path).map((entry) => ({
+          name: entry.name,
+          path: entry.path,
+          type: entry.type,
+          size: entry.size,
+          modified: entry.modified.toISOString()
+        })));
+      case 'createFolder':
+        return sendJson(res, { path: this.makeFolder(fields.path) });
+      case 'delete':
+        return sendJson(res, { path: this.remove(fields.path) });
+      case 'rename':
+        return sendJson(res, this.move(fields.oldPath, fields.newPath));
+      case 'isFile':
+        return sendJson(res, { path: normalize(fields.path), isFile: this.requireEntry(fields.path).isFile() });
+      default:
+        throw new MockError(404, `No such endpoint: /api/${operation}`);
+    }
+  }
+
+  async handleSaaS(operation, { req, res, request, fault }) {
+    const { fields } = request;
+
+    if (operation === 'login') {
+      if (fields.username !== this.username || fields.password !== this.password) {
+        return sendXml(res, '<loginResult><response>failure</response><message>Invalid username or password</message></loginResult>');
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      this.sessions.add(token);
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly`);
+      return sendXml(res, '<loginResult><response>success</response></loginResult>');
+    }
+
+    // Without a live session the real server answers with its login page
+    const token = /(?:^|;\s*)CrushAuth=([^;]+)/.exec(req.headers.cookie || '')?.[1];
+    if (!this.sessions.has(token)) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=UTF-8' });
+      res.end(LOGIN_PAGE);
+      return;
+    }
+
+    switch (operation) {
+      case 'STOR': {
+        const file = request.files.file_lWsx_SINGLE_FILE_POST;
+        if (!file) throw new MockError(400, 'Missing file part');
+        this.store(fields.uploadPath, file, fault?.ignoreOffset ? null : fields.start_resume_loc);
+        return sendXml(res, '<commandResult><response>Success</response></commandResult>');
+      }
+      case 'download':
+        return this.sendFile(fields.path, req, res, fault);
+      case 'getXMLListing':
+        return sendJson(res, {
+          path: normalize(fields.path),
+          listing: this.entries(fields.path).map((entry) => ({
+            name: entry.name,
+            href_path: entry.path,
+            type: entry.type === 'dir' ? 'DIR' : 'FILE',
+            size: String(entry.size),
+            modified: String(entry.modified.getTime())
+          }))
+        });
+      case 'makedir':
+        this.makeFolder(fields.path);
+        return sendXml(res, '<commandResult><response>OK</response></commandResult>');
+      case 'delete':
+        this.remove(fields.names);
+        return sendXml(res, '<commandResult><response>OK</response></commandResult>');
+      case 'rename': {
+        const target = fields.name2.startsWith('/') ? fields.name2 : path.posix.join(fields.path, fields.name2);
+        this.move(path.posix.join(fields.path, fields.name1), target);
+        return sendXml(res, '<commandResult><response>OK</response></commandResult>');
+      }
+      case 'stat': {
+        const stats = this.requireEntry(fields.path);
+        return sendXml(res, `<commandResult><response>OK</response><stat><type>${stats.isFile() ? 'FILE' : 'DIR'}</type>` +
+          `<size>${stats.isFile() ? stats.size : 0}</size></stat></commandResult>`);
+      }
+      default:
+        throw new MockError(400, `Unknown command: ${operation}`);
+    }
+  }
+
+  /**
+   * Answer a failed request the way each server flavour does
+   * SaaS reports command failures in a 200 body; downloads and on-prem use the status.
+   */
+  sendError(type, operation, res, error) {
+    if (type === 'saas' && operation !== 'download') {
+      const text = error.status === 404 ? error.message : `Failure: ${error.message}`;
+      sendXml(res, `<commandResult><response>${escapeXml(text)}</response></commandResult>`);
+      return;
+    }
+    res.writeHead(error.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: error.message }));
+  }
+
+  /**
+   * Stream a file, honouring "Range: bytes=<offset>-"
+   */
+  async sendFile(remotePath, req, res, fault) {
+    const localPath = this.localPath(remotePath);
+    const stats = this.requireEntry(remotePath);
+    if (!stats.isFile()) throw new MockError(400, `Not a file: ${remotePath}`);
+
+    const size = stats.size;
+    const offset = Number(/^bytes=(\d+)-$/.exec(req.headers.range || '')?.[1] || 0);
+    if (offset > 0 && offset >= size) {
+      res.writeHead(416, { 'Content-Range': `bytes */${size}`, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `Offset ${offset} is past the end of ${remotePath}` }));
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/octet-stream', 'Content-Length': size - offset };
+    if (offset > 0) {
+      headers['Content-Range'] = `bytes ${offset}-${size - 1}/${size}`;
+    } else if (this.reportChecksums) {
+      Object.assign(headers, { 'X-Checksum-SHA256': this.checksumOf(fs.readFileSync(localPath)).sha256 });
+    }
+    res.writeHead(offset > 0 ? 206 : 200, headers);
+
+    if (fault?.drop && fault.afterBytes) {
+      // Part of the file, then the connection goes away
+      const end = Math.min(size, offset + fault.afterBytes) - 1;
+      if (end >= offset) {
+        await pipeline(fs.createReadStream(localPath, { start: offset, end: end }), res, { end: false });
+      }
+      // Let those bytes reach the client before the connection goes
+      if (res.socket.writableLength > 0) await once(res.socket, 'drain');
+      res.socket.destroy();
+      return;
+    }
+
+    await pipeline(fs.createReadStream(localPath, { start: offset }), res);
+  }
+
+  /**
+   * Write an uploaded file into a folder; with an offset (SaaS only) the part is appended
+   */
+  store(folderPath, file, offsetField) {
+    const folder = this.requireEntry(folderPath);
+    if (!folder.isDirectory()) throw new MockError(400, `Not a folder: ${folderPath}`);
+
+    const filePath = path.posix.join(normalize(folderPath), file.fileName);
+    const localPath = this.localPath(filePath);
+    const offset = Number(offsetField || 0);
+
+    if (offset > 0) {
+      const stored = fs.existsSync(localPath) ? fs.statSync(localPath).size : 0;
+      if (stored !== offset) {
+        throw new MockError(409, `Part offset ${offset} does not match stored size ${stored}`);
+      }
+      fs.appendFileSync(localPath, file.content);
+    } else {
+      fs.writeFileSync(localPath, file.content);
+    }
+
+    return { path: filePath, content: fs.readFileSync(localPath) };
+  }
+
+  entries(folderPath) {
+    const folder = this.requireEntry(folderPath);
+    if (!folder.isDirectory()) throw new MockError(400, `Not a folder: ${folderPath}`);
+
+    return fs.readdirSync(this.localPath(folderPath)).map((name) => {
+      const stats = fs.statSync(path.join(this.localPath(folderPath), name));
+      return {
+        name: name,
+        path: path.posix.join(normalize(folderPath), name),
+        type: stats.isDirectory() ? 'dir' : 'file',
+        size: stats.isDirectory() ? 0 : stats.size,
+        modified: stats.mtime
+      };
+    });
+  }
+
+  makeFolder(folderPath) {
+    const parent = this.requireEntry(path.posix.dirname(normalize(folderPath)));
+    if (!parent.isDirectory()) throw new MockError(400, `Not a folder: ${path.posix.dirname(folderPath)}`);
+    if (fs.existsSync(this.localPath(folderPath))) throw new MockError(409, `Already exists: ${folderPath}`);
+
+    fs.mkdirSync(this.localPath(folderPath));
+    return normalize(folderPath);
+  }
+
+  remove(remotePath) {
+    this.requireEntry(remotePath);
+    if (normalize(remotePath) === '/') throw new MockError(403, 'Permission denied: cannot delete /');
+
+    fs.rmSync(this.localPath(remotePath), { recursive: true });
+    return normalize(remotePath);
+  }
+
+  move(oldPath, newPath) {
+    this.requireEntry(oldPath);
+    if (!fs.existsSync(this.localPath(path.posix.dirname(normalize(newPath))))) {
+      throw new MockError(404, `No such folder: ${path.posix.dirname(newPath)}`);
+    }
+    if (fs.existsSync(this.localPath(newPath))) throw new MockError(409, `Already exists: ${newPath}`);
+
+    fs.renameSync(this.localPath(oldPath), this.localPath(newPath));
+    return { oldPath: normalize(oldPath), newPath: normalize(newPath) };
+  }
+
+  requireEntry(remotePath) {
+    try {
+      return fs.statSync(this.localPath(remotePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new MockError(404, `No such file or folder: ${remotePath}`);
+    }
+  }
+
+  /**
+   * Local path of a remote path; ".." can't climb out of the root
+   */
+  localPath(remotePath) {
+    return path.join(this.root, ...normalize(remotePath).split('/'));
+  }
+
+  checksumOf(content) {
+    if (!this.reportChecksums) return {};
+    return { sha256: crypto.createHash('sha256').update(content).digest('hex') };
+  }
+}
+
+function normalize(remotePath) {
+  const normalized = path.posix.normalize('/' + (remotePath || '/'));
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : '/';
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a JSON, form-urlencoded or multipart body
+ * @returns {Object} { fields, files } with files as { fileName, content }
+ */
+function parseBody(contentType = '', body) {
+  if (contentType.startsWith('multipart/form-data')) {
+    return parseMultipart(contentType, body);
+  }
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return { fields: Object.fromEntries(new URLSearchParams(body.toString('utf8'))), files: {} };
+  }
+  if (contentType.startsWith('application/json')) {
+    try {
+      return { fields: JSON.parse(body.toString('utf8')), files: {} };
+    } catch {
+      return { fields: {}, files: {} };
+    }
+  }
+  return { fields: {}, files: {} };
+}
+
+function parseMultipart(contentType, body) {
+  const fields = {};
+  const files = {};
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundary) return { fields, files };
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let position = body.indexOf(delimiter);
+
+  while (position >= 0) {
+    const start = position + delimiter.length;
+    // "--" after the delimiter ends the body
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    const next = body.indexOf(delimiter, start);
+    if (next < 0) break;
+
+    // Each part sits between the CRLF after its delimiter and the CRLF before the next
+    const part = body.subarray(start + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const content = part.subarray(headerEnd + 4);
+    const name = /\bname="([^"]*)"/i.exec(headers)?.[1];
+    const fileName = /\bfilename="([^"]*)"/i.exec(headers)?.[1];
+
+    if (fileName !== undefined) {
+      files[name] = { fileName: fileName, content: content };
+    } else if (name) {
+      fields[name] = content.toString('utf8');
+    }
+    position = next;
+  }
+
+  return { fields, files };
+}
+
+function sendJson(res, data) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendXml(res, xml) {
+  res.writeHead(200, { 'Content-Type': 'text/xml; charset=UTF-8' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default MockActiveTransferServer;
@@ -0,0 +1,44 @@
+import { Transform } from 'stream';
+
+/**
+ * Transfer progress with rate and ETA
+ * @param {Function} onProgress - Called with { loaded, total, rate, eta }:
+ *   bytes so far, total bytes (null if unknown), bytes per second, seconds left (null if unknown)
+ * @param {number} offset - Bytes already in place before this transfer (resumed transfers),
+ *   left out of the rate
+ * @returns {Function} (loaded, total) => void; does nothing without onProgress
+ */
+export function createProgressReporter(onProgress, offset = 0) {
+  if (!onProgress) return () => {};
+
+  const startTime = Date.now();
+
+  return (loaded, total = null) => {
+    const seconds = (Date.now() - startTime) / 1000;
+    const rate = seconds > 0 ? Math.max(0, loaded - offset) / seconds : 0;
+
+    onProgress({
+      loaded: loaded,
+      total: total,
+      rate: Math.round(rate),
+      eta: total && rate > 0 ? Math.max(0, Math.round((total - loaded) / rate)) : null
+    });
+  };
+}
+
+/**
+ * Pass-through stream that counts the bytes flowing through it
+ * @param {Function} onBytes - Called with the running byte count after each chunk
+ * @returns {stream.Transform} Counting stream
+ */
+export function countingStream(onBytes) {
+  let count = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      count += chunk.length;
+      onBytes(count);
+      callback(null, chunk);
+    }
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Redaction of secrets in diagnostics
+ * Everything the client logs or returns about a failed request goes through a
+ * redactor, so credentials and session cookies never reach logs or results.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Keys whose values are always hidden
+ * Compared case-insensitively, ignoring "-" and "_" (so "Set-Cookie" matches "setcookie").
+ */
+export const DEFAULT_SENSITIVE_KEYS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'password',
+  'passwd',
+  'pwd',
+  'secret',
+  'client_secret',
+  'token',
+  'access_token',
+  'refresh_token',
+  'api_key',
+  'x-api-key',
+  'sessionCookies'
+];
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a redactor
+ * @param {Object} options - Redactor options
+ * @param {string[]} options.keys - Extra sensitive keys, added to DEFAULT_SENSITIVE_KEYS
+ * @returns {Function} redact(value) → deep copy with secrets replaced by "[REDACTED]"
+ */
+export function createRedactor(options = {}) {
+  const keys = [...DEFAULT_SENSITIVE_KEYS, ...(options.keys || [])];
+  const sensitive = new Set(keys.map(normalizeKey));
+
+  // key=value pairs in form-encoded bodies and query strings, e.g. "password=..."
+  const pairPattern = new RegExp(
+    `(^|[?&;\\s])(${keys.map(escapeRegExp).join('|')})=([^&;\\s]*)`,
+    'gi'
+  );
+  // Credentials in header-like strings, e.g. "Authorization: Basic dXNlcjpwYXNz"
+  const schemePattern = /\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g;
+
+  function redactString(text) {
+    return text
+      .replace(pairPattern, (match, prefix, key) => `${prefix}${key}=${REDACTED}`)
+      .replace(schemePattern, (match, scheme) => `${scheme} ${REDACTED}`);
+  }
+
+  function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+    if (Buffer.isBuffer(value)) return `[binary ${value.length} bytes]`;
+    if (typeof value.pipe === 'function') return '[stream]';
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    // AxiosHeaders and similar classes
+    if (typeof value.toJSON === 'function') {
+      return redact(value.toJSON(), seen);
+    }
+
+    if (value instanceof Error) {
+      return { name: value.name, message: redactString(value.message), code: value.code };
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = sensitive.has(normalizeKey(key)) && item !== undefined && item !== null
+        ? REDACTED
+        : redact(item, seen);
+    }
+    return copy;
+  }
+
+  return (value) => redact(value);
+}
+
+/**
+ * Wrap a logger so every message and field set is redacted first
+ * @param {Object} logger - Logger with debug/info/warn/error(message, fields)
+ * @param {Function} redact - Redactor from createRedactor()
+ * @returns {Object} Redacting logger
+ */
+export function redactingLogger(logger, redact) {
+  const wrapped = {};
+
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    wrapped[level] = (message, fields) => {
+      logger[level](redact(message), fields === undefined ? undefined : redact(fields));
+    };
+  }
+
+  return wrapped;
+}
@@ -0,0 +1,132 @@
+import { CancelledError } from './errors.js';
+
+/**
+ * Retry policy
+ * Operations are retried with exponential backoff and jitter when they fail
+ * with a retryable HTTP status or network error code. A session error (an
+ * expired SaaS login) triggers one immediate replay after logging in again.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // total attempts, including the first
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  factor: 2,
+  jitter: 0.2, // +/- fraction of the computed delay
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+  retryOnCodes: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH',
+    'ERR_NETWORK',
+    'ERR_STREAM_PREMATURE_CLOSE'
+  ]
+};
+
+/**
+ * Merge retry settings over the defaults
+ * `false` (at any level) disables retries; later arguments win.
+ * @param {...(Object|boolean|undefined)} policies - Retry settings, most general first
+ * @returns {Object} Complete retry policy
+ */
+export function resolveRetryPolicy(...policies) {
+  let policy = { ...DEFAULT_RETRY_POLICY };
+
+  for (const overrides of policies) {
+    if (overrides === false) {
+      policy = { ...policy, maxAttempts: 1 };
+    } else if (overrides && typeof overrides === 'object') {
+      policy = { ...policy, ...overrides };
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Check whether an error is worth another attempt
+ */
+export function isRetryable(error, policy) {
+  const status = error.response?.status ?? error.status;
+  if (status) {
+    return policy.retryOnStatus.includes(status);
+  }
+  // Typed errors keep the original network error as their cause
+  return policy.retryOnCodes.includes(error.code) || policy.retryOnCodes.includes(error.cause?.code);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, policy) {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, attempt - 1));
+  const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(delay + jitter));
+}
+
+// Resolves early when the signal aborts; the caller checks signal.aborted
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  }
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+/**
+ * Run an async function under a retry policy
+ * @param {Function} fn - async (attempt) => result; must start from scratch on every call
+ * @param {Object} policy - Retry policy
+ * @param {Object} hooks - Callbacks
+ * @param {Function} hooks.onRetry - (error, attempt, delayMs) before waiting for the next attempt
+ * @param {Function} hooks.onSessionExpired - async (error) to log in again before the replay
+ * @param {AbortSignal} hooks.signal - Stops further attempts; the run then fails with CancelledError
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, policy, hooks = {}) {
+  let attempt = 0;
+  let relogged = false;
+
+  while (true) {
+    if (hooks.signal?.aborted) {
+      throw new CancelledError('Operation cancelled');
+    }
+
+    attempt++;
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      // Whatever the failure looked like, it was caused by the abort
+      if (hooks.signal?.aborted) {
+        throw new CancelledError('Operation cancelled', { cause: error });
+      }
+
+      if (error.sessionExpired && hooks.onSessionExpired && !relogged) {
+        relogged = true;
+        await hooks.onSessionExpired(error);
+        attempt--; // the replay doesn't count against maxAttempts
+        continue;
+      }
+
+      if (attempt >= policy.maxAttempts || !isRetryable(error, policy)) {
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, policy);
+      if (hooks.onRetry) {
+        hooks.onRetry(error, attempt, delayMs);
+      }
+      await sleep(delayMs, hooks.signal);
+    }
+  }
+}
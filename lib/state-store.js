@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { RequestError } from './errors.js';
+
+/**
+ * Small persistent key/value store in a JSON file
+ * Every change is written straight away (to a temp file, then renamed, like
+ * upload state files), so a crash or restart loses nothing that was recorded.
+ */
+class StateStore {
+  /**
+   * @param {string} file - JSON file; created on the first change
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    if (!fs.existsSync(this.file)) {
+      this.entries = {};
+      return this.entries;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new RequestError(`Not a valid state file: ${this.file} (${error.message})`);
+    }
+    if (state.version !== 1 || typeof state.entries !== 'object') {
+      throw new RequestError(`Not a valid state file: ${this.file}`);
+    }
+
+    this.entries = state.entries;
+    return this.entries;
+  }
+
+  get(key) {
+    return this.load()[key];
+  }
+
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+  }
+
+  delete(key) {
+    delete this.load()[key];
+    this.save();
+  }
+
+  keys() {
+    return Object.keys(this.load());
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), entries: this.entries }, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+export default StateStore;
@@ -0,0 +1,84 @@
+/**
+ * Sync planning
+ * Compares a local and a remote file index and decides what a one-way
+ * mirror has to transfer or delete.
+ */
+
+const DEFAULT_MODIFY_WINDOW = 2000; // ms, covers servers with coarse timestamps
+
+/**
+ * Decide whether a destination copy is out of date
+ */
+function changeReason(source, destination, modifyWindow) {
+  if (!destination) return 'new';
+  if (source.size !== destination.size) return 'size changed';
+  if (source.modified && destination.modified &&
+      source.modified.getTime() - destination.modified.getTime() > modifyWindow) {
+    return 'newer';
+  }
+  return null;
+}
+
+/**
+ * Build a sync plan
+ * @param {Array<Object>} localFiles - { relativePath, size, modified }
+ * @param {Array<Object>} remoteFiles - { relativePath, size, modified }
+ * @param {Object} options - direction, delete, modifyWindow, localDirs, remoteDirs
+ * @returns {Array<Object>} Actions: { action: 'upload' | 'download' | 'delete', relativePath, reason, size, modified }
+ */
+export function planSync(localFiles, remoteFiles, options = {}) {
+  const upload = options.direction !== 'download';
+  const modifyWindow = options.modifyWindow ?? DEFAULT_MODIFY_WINDOW;
+  const sources = upload ? localFiles : remoteFiles;
+  const destinations = upload ? remoteFiles : localFiles;
+  const destinationIndex = new Map(destinations.map((file) => [file.relativePath, file]));
+  const sourceIndex = new Map(sources.map((file) => [file.relativePath, file]));
+  const plan = [];
+
+  for (const source of sources) {
+    const reason = changeReason(source, destinationIndex.get(source.relativePath), modifyWindow);
+    if (reason) {
+      plan.push({
+        action: upload ? 'upload' : 'download',
+        relativePath: source.relativePath,
+        reason: reason,
+        size: source.size,
+        modified: source.modified
+      });
+    }
+  }
+
+  if (options.delete) {
+    // Folders the source doesn't have are removed whole; their contents aren't listed separately
+    const sourceDirs = new Set(upload ? options.localDirs : options.remoteDirs);
+    for (const file of sources) {
+      const parts = file.relativePath.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        sourceDirs.add(parts.slice(0, i).join('/'));
+      }
+    }
+
+    const orphanDirs = [];
+    for (const dir of [...(upload ? options.remoteDirs : options.localDirs) || []].sort()) {
+      if (!sourceDirs.has(dir) && !orphanDirs.some((parent) => dir.startsWith(parent + '/'))) {
+        orphanDirs.push(dir);
+        plan.push({ action: 'delete', relativePath: dir, reason: 'folder not in source', size: 0, modified: null });
+      }
+    }
+
+    for (const destination of destinations) {
+      if (!sourceIndex.has(destination.relativePath) &&
+          !orphanDirs.some((dir) => destination.relativePath.startsWith(dir + '/'))) {
+        plan.push({
+          action: 'delete',
+          relativePath: destination.relativePath,
+          reason: 'not in source',
+          size: destination.size,
+          modified: destination.modified
+        });
+      }
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,78 @@
+import { Transform, pipeline } from 'stream';
+
+/**
+ * Bandwidth limits
+ * A RateLimiter hands out send slots for bytes; every stream throttled by the
+ * same limiter shares its bandwidth.
+ */
+export class RateLimiter {
+  /**
+   * @param {number} bytesPerSecond - Bandwidth to hand out
+   */
+  constructor(bytesPerSecond) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Reserve bandwidth for a chunk
+   * @param {number} bytes - Chunk size
+   * @returns {number} Milliseconds to wait before sending it
+   */
+  reserve(bytes) {
+    const now = Date.now();
+    // An idle limiter doesn't bank bandwidth for a later burst
+    const start = Math.max(now, this.nextSlot);
+    this.nextSlot = start + (bytes * 1000) / this.bytesPerSecond;
+    return start - now;
+  }
+}
+
+/**
+ * Transform that holds chunks back to stay within every given limiter
+ * Chunks are cut into slices of a tenth of a second's worth so the rate is
+ * smooth rather than one big burst per chunk.
+ * @param {RateLimiter[]} limiters - Limits to respect
+ * @returns {stream.Transform} Throttling stream
+ */
+export function throttleStream(limiters) {
+  const slowest = Math.min(...limiters.map((limiter) => limiter.bytesPerSecond));
+  const sliceSize = Math.max(1024, Math.floor(slowest / 10));
+  let timer = null;
+
+  const wait = (ms) => new Promise((resolve) => {
+    timer = setTimeout(resolve, ms);
+  });
+
+  return new Transform({
+    async transform(chunk, encoding, callback) {
+      try {
+        for (let offset = 0; offset < chunk.length; offset += sliceSize) {
+          const slice = chunk.subarray(offset, offset + sliceSize);
+          const delay = Math.max(...limiters.map((limiter) => limiter.reserve(slice.length)));
+          if (delay > 0) await wait(delay);
+          this.push(slice);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    destroy(error, callback) {
+      clearTimeout(timer);
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Throttle a readable stream
+ * @param {stream.Readable} source - Stream to slow down
+ * @param {RateLimiter[]} limiters - Limits to respect (none: source is returned as is)
+ * @returns {stream.Readable} Throttled stream
+ */
+export function throttle(source, limiters) {
+  if (!limiters.length) return source;
+  // pipeline() passes a source error on to the returned stream; pipe() would lose it
+  return pipeline(source, throttleStream(limiters), () => {});
+}
@@ -0,0 +1,253 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Batch of uploads and downloads run a few at a time
+ *
+ * Items are added with addUpload()/addDownload() and started with run(),
+ * which resolves to a summary once every item has finished. Events:
+ *   itemStart (item), itemProgress (item), itemEnd (item),
+ *   progress (aggregate), end (summary)
+ * Item status goes pending → running → done | failed | cancelled.
+ */
+class TransferQueue extends EventEmitter {
+  /**
+   * @param {ActiveTransferClient} client - Client that performs the transfers
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Transfers in flight at once (default: client.concurrency)
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.concurrency = Math.max(1, options.concurrency || client.concurrency || 4);
+    this.items = [];
+    this.nextId = 1;
+    this.running = null;
+  }
+
+  /**
+   * Queue an upload
+   * @param {string} localPath - Local file
+   * @param {string} remoteDir - Remote destination folder
+   * @param {Object} options - Passed through to client.uploadFile()
+   * @returns {Object} Queue item
+   */
+  addUpload(localPath, remoteDir = '/', options = {}) {
+    let total = null;
+    try {
+      total = fs.statSync(localPath).size;
+    } catch {
+      // uploadFile() reports the missing file when the item runs
+    }
+    return this.add('upload', localPath, remoteDir, total, options);
+  }
+
+  /**
+   * Queue a download
+   * @param {string} remotePath - Remote file
+   * @param {string} localPath - Local destination file; its folder is created if needed
+   * @param {Object} options - Passed through to client.downloadFile()
+   * @returns {Object} Queue item
+   */
+  addDownload(remotePath, localPath, options = {}) {
+    return this.add('download', remotePath, localPath, options.size ?? null, options);
+  }
+
+  add(type, source, destination, total, options) {
+    const item = {
+      id: this.nextId++,
+      type: type,
+      source: source,
+      destination: destination,
+      status: 'pending',
+      loaded: 0,
+      total: total,
+      attempts: 0,
+      result: null,
+      options: options,
+      controller: null
+    };
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * Cancel an item
+   * A pending item is skipped. A running one has its AbortSignal aborted and
+   * ends as cancelled unless the transfer completes anyway.
+   * @param {number|Object} itemOrId - Queue item or its id
+   * @returns {boolean} True if the item was pending or running
+   */
+  cancel(itemOrId) {
+    const item = typeof itemOrId === 'object' ? itemOrId : this.items.find((entry) => entry.id === itemOrId);
+    if (!item || !['pending', 'running'].includes(item.status)) return false;
+
+    if (item.status === 'pending') {
+      this.finishItem(item, 'cancelled', { success: false, cancelled: true, message: 'Cancelled before start' });
+    } else {
+      item.cancelRequested = true;
+      item.controller.abort();
+    }
+    return true;
+  }
+
+  /**
+   * Cancel every pending and running item
+   * @returns {number} Items cancelled
+   */
+  cancelAll() {
+    return this.items.filter((item) => this.cancel(item)).length;
+  }
+
+  /**
+   * Put failed items back in the queue; call run() again to transfer them
+   * @returns {number} Items queued for another attempt
+   */
+  retryFailed() {
+    const failed = this.items.filter((item) => item.status === 'failed');
+    for (const item of failed) {
+      item.status = 'pending';
+      item.loaded = 0;
+      item.result = null;
+    }
+    return failed.length;
+  }
+
+  /**
+   * Transfer all pending items
+   * Calling run() while a run is in progress returns the same promise.
+   * @returns {Promise<Object>} Summary, see summary()
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.drain().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async drain() {
+    const startTime = Date.now();
+
+    // Workers pick the next pending item, so items added during the run are included too
+    const worker = async () => {
+      let item;
+      while ((item = this.items.find((entry) => entry.status === 'pending'))) {
+        await this.runItem(item);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < this.concurrency; i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    const summary = this.summary(Date.now() - startTime);
+    this.emit('end', summary);
+    return summary;
+  }
+
+  async runItem(item) {
+    item.status = 'running';
+    item.attempts++;
+    item.cancelRequested = false;
+    item.controller = new AbortController();
+    this.emit('itemStart', item);
+
+    const options = {
+      ...item.options,
+      signal: item.controller.signal,
+      onProgress: (progress) => {
+        item.loaded = progress.loaded;
+        if (progress.total) item.total = progress.total;
+        if (item.options.onProgress) item.options.onProgress(progress);
+        this.emit('itemProgress', item);
+        this.emit('progress', this.aggregate());
+      }
+    };
+
+    let result;
+    if (item.type === 'upload') {
+      result = await this.client.uploadFile(item.source, item.destination, options);
+    } else {
+      result = await this.makeParentDir(item.destination)
+        || await this.client.downloadFile(item.source, item.destination, options);
+      if (result.success && result.bytes !== undefined) {
+        item.total = result.bytes;
+      }
+    }
+
+    if (result.success) {
+      item.loaded = item.total ?? item.loaded;
+      this.finishItem(item, 'done', result);
+    } else {
+      this.finishItem(item, item.cancelRequested || result.cancelled ? 'cancelled' : 'failed', result);
+    }
+  }
+
+  async makeParentDir(localPath) {
+    const dir = path.dirname(localPath);
+    return fs.existsSync(dir) ? null : this.client.makeLocalDir(dir);
+  }
+
+  finishItem(item, status, result) {
+    item.status = status;
+    item.result = result;
+    item.controller = null;
+    this.emit('itemEnd', item);
+    this.emit('progress', this.aggregate());
+  }
+
+  /**
+   * Counts and bytes across all items
+   * totalBytes only includes items whose size is known.
+   */
+  aggregate() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    let loadedBytes = 0;
+    let totalBytes = 0;
+
+    for (const item of this.items) {
+      counts[item.status]++;
+      loadedBytes += item.loaded;
+      totalBytes += item.total || 0;
+    }
+
+    return { items: this.items.length, ...counts, loadedBytes: loadedBytes, totalBytes: totalBytes };
+  }
+
+  /**
+   * Final report of a run
+   * @param {number} elapsedMs - Run duration
+   * @returns {Object} { success, message, transferred, failed, cancelled, bytes, elapsedMs, items }
+   */
+  summary(elapsedMs) {
+    const totals = this.aggregate();
+
+    return {
+      success: totals.failed === 0,
+      message: `${totals.done} of ${totals.items} transfer(s) done, ${totals.failed} failed, ${totals.cancelled} cancelled`,
+      transferred: totals.done,
+      failed: totals.failed,
+      cancelled: totals.cancelled,
+      bytes: this.items.filter((item) => item.status === 'done').reduce((sum, item) => sum + (item.total || 0), 0),
+      elapsedMs: elapsedMs,
+      items: this.items.map((item) => ({
+        id: item.id,
+        type: item.type,
+        source: item.source,
+        destination: item.destination,
+        status: item.status,
+        attempts: item.attempts,
+        success: item.status === 'done',
+        message: item.result?.message,
+        error: item.result?.error
+      }))
+    };
+  }
+}
+
+export default TransferQueue;
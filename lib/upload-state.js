@@ -0,0 +1,50 @@
+import fs from 'fs';
+import { RequestError } from './errors.js';
+
+/**
+ * Chunked upload state files
+ * Progress of a chunked upload is saved as JSON after every part, so an
+ * interrupted upload can continue from the last confirmed byte.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB
+
+/**
+ * Default state file location for a local file
+ */
+export function defaultStateFile(filePath) {
+  return `${filePath}.upload-state.json`;
+}
+
+/**
+ * Read a state file
+ * @param {string} stateFile - State file path
+ * @returns {Object} Upload state
+ */
+export function readUploadState(stateFile) {
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+
+  if (state.version !== 1 || !state.filePath || typeof state.uploadedBytes !== 'number') {
+    throw new RequestError(`Not a valid upload state file: ${stateFile}`);
+  }
+
+  return state;
+}
+
+/**
+ * Write a state file
+ * Written to a temp file first and renamed, so a crash never leaves a truncated state
+ */
+export function writeUploadState(stateFile, state) {
+  state.updatedAt = new Date().toISOString();
+  const tempFile = `${stateFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, stateFile);
+}
+
+/**
+ * Remove a state file once its upload has completed
+ */
+export function removeUploadState(stateFile) {
+  fs.rmSync(stateFile, { force: true });
+}
@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { SERVER_TYPES, startServer, createClient, localFiles } from './helpers.js';
+
+for (const type of SERVER_TYPES) {
+  describe(`ActiveTransferClient (${type})`, () => {
+    let server;
+    let client;
+    let local;
+
+    before(async () => {
+      server = await startServer({ reportChecksums: true });
+      client = createClient(server, type);
+      local = localFiles({
+        'report.csv': 'id,amount\n1,100\n2,250\n',
+        'big.bin': Buffer.alloc(300 * 1024, 7),
+        'outbox/a.txt': 'a',
+        'outbox/nested/b.txt': 'bb',
+        'outbox/skip.tmp': 'tmp'
+      });
+    });
+
+    after(async () => {
+      await server.stop();
+      fs.rmSync(local, { recursive: true, force: true });
+    });
+
+    it('creates folders and refuses to create one twice', async () => {
+      const created = await client.createFolder('/inbox');
+      assert.equal(created.success, true);
+      assert.ok(fs.statSync(path.join(server.root, 'inbox')).isDirectory());
+
+      const again = await client.createFolder('/inbox');
+      assert.equal(again.success, false);
+    });
+
+    it('uploads a file and downloads it again', async () => {
+      const upload = await client.uploadFile(path.join(local, 'report.csv'), '/inbox');
+      assert.equal(upload.success, true, upload.message);
+      assert.equal(fs.readFileSync(path.join(server.root, 'inbox', 'report.csv'), 'utf8'), 'id,amount\n1,100\n2,250\n');
+
+      const target = path.join(local, 'downloaded.csv');
+      const download = await client.downloadFile('/inbox/report.csv', target);
+      assert.equal(download.success, true, download.message);
+      assert.equal(download.checksum.verifiedBy, 'server');
+      assert.equal(fs.readFileSync(target, 'utf8'), 'id,amount\n1,100\n2,250\n');
+    });
+
+    it('lists folders as normalized entries', async () => {
+      const listing = await client.listFiles('/inbox');
+      assert.equal(listing.success, true, listing.message);
+      assert.deepEqual(listing.data.map(({ name, path, type, size }) => ({ name, path, type, size })), [
+        { name: 'report.csv', path: '/inbox/report.csv', type: 'file', size: 22 }
+      ]);
+      assert.ok(listing.data[0].modified instanceof Date);
+    });
+
+    it('looks up single paths with stat() and isFile()', async () => {
+      const file = await client.stat('/inbox/report.csv');
+      assert.equal(file.data.exists, true);
+      assert.equal(file.data.type, 'file');
+
+      const folder = await client.stat('/inbox');
+      assert.equal(folder.data.type, 'dir');
+
+      const missing = await client.stat('/inbox/nope.csv');
+      assert.equal(missing.success, false);
+      assert.equal(missing.errorType, 'NOT_FOUND');
+      assert.equal(missing.data.exists, false);
+
+      const verified = await client.isFile('/inbox/report.csv');
+      assert.equal(verified.success, true);
+    });
+
+    it('renames and moves files', async () => {
+      await client.createFolder('/archive');
+
+      const renamed = await client.rename('/inbox/report.csv', '/inbox/report-1.csv');
+      assert.equal(renamed.success, true, renamed.message);
+      const moved = await client.rename('/inbox/report-1.csv', '/archive/report-1.csv');
+      assert.equal(moved.success, true, moved.message);
+
+      assert.ok(fs.existsSync(path.join(server.root, 'archive', 'report-1.csv')));
+      assert.equal(fs.existsSync(path.join(server.root, 'inbox', 'report-1.csv')), false);
+    });
+
+    it('deletes files and folders', async () => {
+      const deleted = await client.delete('/archive');
+      assert.equal(deleted.success, true, deleted.message);
+      assert.equal(fs.existsSync(path.join(server.root, 'archive')), false);
+
+      const missing = await client.delete('/archive');
+      assert.equal(missing.errorType, 'NOT_FOUND');
+    });
+
+    it('fails with NOT_FOUND for a missing download and keeps no .part file', async () => {
+      const target = path.join(local, 'missing.csv');
+      const download = await client.downloadFile('/inbox/missing.csv', target);
+      assert.equal(download.success, false);
+      assert.equal(download.errorType, 'NOT_FOUND');
+      assert.equal(fs.existsSync(target), false);
+    });
+
+    if (type === 'saas') {
+      it('uploads in parts', async () => {
+        const stateFile = path.join(local, 'big.state.json');
+        const upload = await client.uploadFileChunked(path.join(local, 'big.bin'), '/inbox', { chunkSize: 64 * 1024, stateFile });
+        assert.equal(upload.success, true, upload.message);
+        assert.deepEqual(fs.readFileSync(path.join(server.root, 'inbox', 'big.bin')), fs.readFileSync(path.join(local, 'big.bin')));
+        assert.equal(fs.existsSync(stateFile), false);
+      });
+    } else {
+      it('refuses to upload in parts, since /api/upload ignores offsets', async () => {
+        const stateFile = path.join(local, 'big.state.json');
+        const chunked = await client.uploadFileChunked(path.join(local, 'big.bin'), '/inbox', { chunkSize: 64 * 1024, stateFile });
+        assert.equal(chunked.success, false);
+        assert.equal(chunked.errorType, 'REQUEST');
+        assert.match(chunked.message, /not supported/);
+        assert.equal(fs.existsSync(stateFile), false);
+        assert.equal(fs.existsSync(path.join(server.root, 'inbox', 'big.bin')), false);
+
+        const upload = await client.uploadFile(path.join(local, 'big.bin'), '/inbox');
+        assert.equal(upload.success, true, upload.message);
+      });
+    }
+
+    it('resumes a download from a .part file with a Range request', async () => {
+      const target = path.join(local, 'big-copy.bin');
+      const original = fs.readFileSync(path.join(local, 'big.bin'));
+      fs.writeFileSync(`${target}.part`, original.subarray(0, 100 * 1024));
+
+      const download = await client.downloadFile('/inbox/big.bin', target);
+      assert.equal(download.success, true, download.message);
+      assert.equal(download.resumedFrom, 100 * 1024);
+      assert.deepEqual(fs.readFileSync(target), original);
+    });
+
+    it('fails with INTEGRITY when the expected checksum does not match', async () => {
+      const target = path.join(local, 'checked.bin');
+      const download = await client.downloadFile('/inbox/big.bin', target, {
+        checksum: { algorithm: 'sha256', value: '0'.repeat(64) }
+      });
+      assert.equal(download.success, false);
+      assert.equal(download.errorType, 'INTEGRITY');
+      assert.equal(fs.existsSync(target), false);
+    });
+
+    it('uploads and downloads folder trees with filters', async () => {
+      const upload = await client.uploadDirectory(path.join(local, 'outbox'), '/outbox', { exclude: ['*.tmp'] });
+      assert.equal(upload.success, true, upload.message);
+      assert.ok(fs.existsSync(path.join(server.root, 'outbox', 'nested', 'b.txt')));
+      assert.equal(fs.existsSync(path.join(server.root, 'outbox', 'skip.tmp')), false);
+
+      const target = path.join(local, 'outbox-copy');
+      const download = await client.downloadDirectory('/outbox', target);
+      assert.equal(download.success, true, download.message);
+      assert.equal(fs.readFileSync(path.join(target, 'nested', 'b.txt'), 'utf8'), 'bb');
+    });
+  });
+}
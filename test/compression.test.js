@@ -0,0 +1,152 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import tar from 'tar-stream';
+import archiver from 'archiver';
+import { extractArchive } from '../lib/compression.js';
+import { startServer, createClient, localFiles } from './helpers.js';
+
+/**
+ * tar.gz archive with the given entries, names taken as they are
+ */
+async function tarGz(entries) {
+  const pack = tar.pack();
+  for (const [name, content] of Object.entries(entries)) {
+    pack.entry({ name: name }, content);
+  }
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack.pipe(zlib.createGzip())) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * zip archive with the given entries; store: true leaves the data uncompressed
+ */
+async function zip(entries, options = {}) {
+  const archive = archiver('zip', options);
+  for (const [name, content] of Object.entries(entries)) {
+    archive.append(content, { name: name });
+  }
+  archive.finalize();
+
+  const chunks = [];
+  for await (const chunk of archive) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Overwrite the uncompressed size in every local and central directory header
+ */
+function declareSize(buffer, size) {
+  for (let i = 0; i < buffer.length - 4; i++) {
+    if (buffer.readUInt32LE(i) === 0x04034b50) buffer.writeUInt32LE(size, i + 22);
+    if (buffer.readUInt32LE(i) === 0x02014b50) buffer.writeUInt32LE(size, i + 24);
+  }
+  return buffer;
+}
+
+describe('extractArchive() with zip', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = localFiles();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function extract(buffer) {
+    fs.writeFileSync(path.join(dir, 'test.zip'), buffer);
+    return extractArchive(path.join(dir, 'test.zip'), 'zip', path.join(dir, 'out'));
+  }
+
+  it('extracts files and folders', async () => {
+    const files = await extract(await zip({ 'a.txt': 'a'.repeat(1000), 'docs/b.txt': 'b', 'empty.txt': '' }));
+
+    assert.equal(files.length, 3);
+    assert.equal(fs.readFileSync(path.join(dir, 'out', 'a.txt'), 'utf8'), 'a'.repeat(1000));
+    assert.equal(fs.readFileSync(path.join(dir, 'out', 'docs', 'b.txt'), 'utf8'), 'b');
+  });
+
+  it('rejects an entry whose data does not match its CRC-32', async () => {
+    const buffer = await zip({ 'data.txt': 'original content' }, { store: true });
+    buffer.write('tampered', buffer.indexOf('original'));
+
+    await assert.rejects(extract(buffer), { code: 'INTEGRITY', algorithm: 'crc32' });
+    assert.equal(fs.existsSync(path.join(dir, 'out', 'data.txt')), false);
+  });
+
+  it('rejects an entry that inflates beyond its declared size', async () => {
+    const buffer = declareSize(await zip({ 'bomb.txt': 'x'.repeat(100000) }), 10);
+
+    await assert.rejects(extract(buffer), { code: 'REQUEST', message: /not a valid zip archive/ });
+    assert.equal(fs.existsSync(path.join(dir, 'out', 'bomb.txt')), false);
+  });
+
+  it('rejects a file that is not a zip archive', async () => {
+    await assert.rejects(extract(Buffer.from('plain text')), { code: 'REQUEST' });
+  });
+});
+
+describe('downloadFile() with decompress', { timeout: 10000 }, () => {
+  let server;
+  let client;
+  let dir;
+
+  before(async () => {
+    server = await startServer();
+    client = createClient(server, 'onprem');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    dir = localFiles();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('extracts a tar.gz archive', async () => {
+    fs.writeFileSync(path.join(server.root, 'bundle.tar.gz'), await tarGz({ 'a.txt': 'a', 'docs/b.txt': 'b' }));
+
+    const result = await client.downloadFile('/bundle.tar.gz', path.join(dir, 'bundle.tar.gz'), { decompress: true });
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(fs.readFileSync(path.join(dir, 'docs', 'b.txt'), 'utf8'), 'b');
+    assert.equal(fs.existsSync(path.join(dir, 'bundle.tar.gz')), false);
+    assert.equal(result.localPath, dir);
+  });
+
+  it('keeps the archive as localPath with keepArchive', async () => {
+    fs.writeFileSync(path.join(server.root, 'bundle.tar.gz'), await tarGz({ 'a.txt': 'a' }));
+
+    const result = await client.downloadFile('/bundle.tar.gz', path.join(dir, 'bundle.tar.gz'), { decompress: true, keepArchive: true });
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.localPath, path.join(dir, 'bundle.tar.gz'));
+    assert.ok(fs.existsSync(result.localPath));
+  });
+
+  for (const name of ['../evil.txt', '/tmp/evil.txt']) {
+    it(`refuses a tar.gz entry named ${name}`, async () => {
+      fs.writeFileSync(path.join(server.root, 'evil.tar.gz'), await tarGz({ 'ok.txt': 'ok', [name]: 'evil' }));
+      const target = path.join(dir, 'out');
+
+      const result = await client.downloadFile('/evil.tar.gz', path.join(dir, 'evil.tar.gz'), { decompress: true, extractTo: target });
+
+      assert.equal(result.success, false);
+      assert.equal(result.errorType, 'REQUEST');
+      assert.match(result.message, /points outside/);
+      assert.equal(fs.existsSync(path.join(dir, 'evil.txt')), false);
+    });
+  }
+});
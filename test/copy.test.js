@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { copyBetween } from '../lib/copy.js';
+import { startServer, createClient, received, operationName } from './helpers.js';
+
+describe('copyBetween()', { timeout: 10000 }, () => {
+  let onprem;
+  let saas;
+  let source;
+  let destination;
+
+  before(async () => {
+    [onprem, saas] = await Promise.all([startServer(), startServer()]);
+    source = createClient(onprem, 'onprem');
+    destination = createClient(saas, 'saas');
+
+    fs.mkdirSync(path.join(onprem.root, 'release', 'docs'), { recursive: true });
+    fs.writeFileSync(path.join(onprem.root, 'release', 'app.bin'), Buffer.alloc(64 * 1024, 7));
+    fs.writeFileSync(path.join(onprem.root, 'release', 'notes.txt'), 'v2');
+    fs.writeFileSync(path.join(onprem.root, 'release', 'docs', 'guide.md'), '# Guide');
+    fs.mkdirSync(path.join(saas.root, 'promoted'));
+  });
+
+  after(async () => {
+    await Promise.all([onprem.stop(), saas.stop()]);
+  });
+
+  it('streams a file from one server to the other', async () => {
+    const result = await copyBetween(source, '/release/notes.txt', destination, '/promoted');
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.fileName, 'notes.txt');
+    assert.equal(fs.readFileSync(path.join(saas.root, 'promoted', 'notes.txt'), 'utf8'), 'v2');
+  });
+
+  it('copies a folder tree with recursive', async () => {
+    const result = await copyBetween(source, '/release', destination, '/promoted/v2', { recursive: true, exclude: '*.bin' });
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.copied, 2);
+    assert.equal(fs.readFileSync(path.join(saas.root, 'promoted', 'v2', 'docs', 'guide.md'), 'utf8'), '# Guide');
+    assert.equal(fs.existsSync(path.join(saas.root, 'promoted', 'v2', 'app.bin')), false);
+  });
+
+  it('opens a fresh download when the upload is retried', async () => {
+    saas.injectFault({ operation: operationName('saas', 'upload'), drop: true });
+    onprem.requests = [];
+
+    const result = await copyBetween(source, '/release/app.bin', destination, '/promoted');
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(received(onprem, 'download').length, 2);
+    assert.deepEqual(fs.readFileSync(path.join(saas.root, 'promoted', 'app.bin')), Buffer.alloc(64 * 1024, 7));
+  });
+
+  it('creates the clients for environment names from config.json', async () => {
+    const config = {
+      environments: {
+        techzone: onprem.clientConfig('onprem'),
+        saas: saas.clientConfig('saas')
+      }
+    };
+    fs.mkdirSync(path.join(saas.root, 'promoted', 'named'));
+
+    const result = await copyBetween('techzone', '/release/notes.txt', 'saas', '/promoted/named', { config: config });
+    assert.equal(result.success, true, result.message);
+    assert.equal(fs.readFileSync(path.join(saas.root, 'promoted', 'named', 'notes.txt'), 'utf8'), 'v2');
+
+    const unknown = await copyBetween('techzone', '/release/notes.txt', 'staging', '/promoted', { config: config });
+    assert.equal(unknown.success, false);
+    assert.equal(unknown.errorType, 'REQUEST');
+    assert.match(unknown.message, /Unknown environment "staging"/);
+  });
+
+  it('refuses a folder without recursive and reports a missing source', async () => {
+    const folder = await copyBetween(source, '/release', destination, '/promoted');
+    assert.equal(folder.success, false);
+    assert.match(folder.message, /recursive/);
+
+    const missing = await copyBetween(source, '/release/missing.txt', destination, '/promoted');
+    assert.equal(missing.success, false);
+    assert.equal(missing.errorType, 'NOT_FOUND');
+  });
+});
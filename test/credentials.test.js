@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createCredentialProvider, saveFileCredentials } from '../lib/credentials.js';
+import { AuthError, RequestError } from '../lib/errors.js';
+import { startServer, createClient, localFiles } from './helpers.js';
+
+describe('credential providers', { timeout: 10000 }, () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = localFiles();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads MFT_<ENV>_PASSWORD and MFT_<ENV>_USERNAME', async () => {
+    const config = { environment: 'saas-prod', auth: { username: 'partner1' } };
+
+    const provider = createCredentialProvider(config, { env: { MFT_SAAS_PROD_PASSWORD: 's3cret' } });
+    assert.equal(provider.name, 'env');
+    assert.deepEqual(await provider.getCredentials(), { username: 'partner1', password: 's3cret' });
+
+    const renamed = createCredentialProvider(config, { env: { MFT_SAAS_PROD_PASSWORD: 's3cret', MFT_SAAS_PROD_USERNAME: 'ci' } });
+    assert.equal((await renamed.getCredentials()).username, 'ci');
+  });
+
+  it('lets the environment variable win over the configured source', async () => {
+    const config = { environment: 'prod', auth: { username: 'partner1', password: 'from-config' } };
+
+    const provider = createCredentialProvider(config, { env: { MFT_PROD_PASSWORD: 'from-env' } });
+    assert.equal(provider.name, 'env');
+    assert.equal((await provider.getCredentials()).password, 'from-env');
+    assert.equal(createCredentialProvider(config, { env: {} }).name, 'config');
+  });
+
+  it('reads an entry of an encrypted credential file', async () => {
+    const files = { file: path.join(dir, 'credentials.enc'), keyFile: path.join(dir, 'credentials.key') };
+    saveFileCredentials('prod', { username: 'partner1', password: 's3cret' }, files);
+    saveFileCredentials('test', { username: 'tester', password: 'other' }, files);
+    assert.equal(fs.readFileSync(files.file).includes('s3cret'), false);
+
+    const provider = createCredentialProvider({ environment: 'prod', auth: { source: 'file', ...files } }, { env: {} });
+    assert.equal(provider.name, 'file');
+    assert.deepEqual(await provider.getCredentials(), { username: 'partner1', password: 's3cret' });
+  });
+
+  it('runs a command for a password or JSON credentials', async () => {
+    const plain = createCredentialProvider({ environment: 'prod', auth: { username: 'partner1', source: 'command', command: 'echo s3cret' } }, { env: {} });
+    assert.equal(plain.name, 'command');
+    assert.deepEqual(await plain.getCredentials(), { username: 'partner1', password: 's3cret' });
+
+    const json = createCredentialProvider({
+      environment: 'prod',
+      auth: { username: 'partner1', source: 'command', command: `echo '{"username": "svc", "password": "s3cret"}'` }
+    }, { env: {} });
+    assert.deepEqual(await json.getCredentials(), { username: 'svc', password: 's3cret' });
+  });
+
+  it('fails with AuthError when a provider has no credentials', async () => {
+    const missing = createCredentialProvider({ environment: 'prod', auth: { source: 'env' } }, { env: {} });
+    await assert.rejects(missing.getCredentials(), (error) => error instanceof AuthError && /MFT_PROD_PASSWORD/.test(error.message));
+
+    const files = { file: path.join(dir, 'credentials.enc'), keyFile: path.join(dir, 'credentials.key') };
+    saveFileCredentials('prod', { username: 'partner1', password: 's3cret' }, files);
+    fs.writeFileSync(files.keyFile, '0'.repeat(64));
+    const wrongKey = createCredentialProvider({ environment: 'prod', auth: { source: 'file', ...files } }, { env: {} });
+    await assert.rejects(wrongKey.getCredentials(), (error) => {
+      assert.ok(error instanceof AuthError);
+      assert.match(error.message, /wrong key file/);
+      assert.doesNotMatch(error.message, /s3cret/);
+      return true;
+    });
+
+    const silent = createCredentialProvider({ environment: 'prod', auth: { source: 'command', command: 'exit 3' } }, { env: {} });
+    await assert.rejects(silent.getCredentials(), { code: 'AUTH', message: 'Credential command failed: exit code 3' });
+  });
+
+  it('fails with RequestError for an incomplete auth block', () => {
+    assert.throws(() => createCredentialProvider({ environment: 'prod', auth: { source: 'command' } }, { env: {} }), RequestError);
+    assert.throws(() => createCredentialProvider({ environment: 'prod', auth: { source: 'vault' } }, { env: {} }), {
+      code: 'REQUEST',
+      message: /Unknown auth.source "vault"/
+    });
+  });
+});
+
+describe('failed credential lookups', { timeout: 10000 }, () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('fail the call with AUTH and keep the secret out of the result', async () => {
+    const client = createClient(server, 'onprem', {
+      auth: { source: 'command', command: 'echo "vault: rejected password=s3cret" >&2; exit 1' }
+    });
+
+    const listing = await client.listFiles('/');
+    assert.equal(listing.success, false);
+    assert.equal(listing.errorType, 'AUTH');
+    assert.ok(listing.error instanceof AuthError);
+    assert.match(listing.message, /Credential command failed: vault: rejected password=\[REDACTED\]/);
+    assert.doesNotMatch(JSON.stringify(listing), /s3cret/);
+    assert.equal(server.requests.length, 0);
+  });
+});
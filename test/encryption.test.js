@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath, pathToFileURL } from 'url';
+import ActiveTransferClient from '../client.js';
+import { localFiles } from './helpers.js';
+
+const openpgp = await import('openpgp').catch(() => null);
+
+describe('client-side encryption', { timeout: 10000 }, () => {
+  const report = 'id,amount\n1,100\n2,250\n';
+  let client;
+  let dir;
+  let keyFile;
+
+  beforeEach(() => {
+    client = new ActiveTransferClient({
+      environment: 'memory',
+      server: { type: 'memory' },
+      auth: { username: 'test', password: 'test' }
+    }, { retry: false });
+    dir = localFiles({ 'report.csv': report, 'downloads/.keep': '' });
+    keyFile = path.join(dir, 'aes.key');
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function uploadEncrypted() {
+    const upload = await client.uploadFile(path.join(dir, 'report.csv'), '/', { encrypt: { keyFile } });
+    assert.equal(upload.success, true, upload.message);
+    return client.backend.entries.get('/report.csv.enc');
+  }
+
+  it('stores AES-256-GCM ciphertext and decrypts it on download', async () => {
+    const stored = await uploadEncrypted();
+    assert.equal(stored.content.subarray(0, 6).toString(), 'ATGCM1');
+    assert.equal(stored.content.includes(Buffer.from('amount')), false);
+
+    const target = path.join(dir, 'downloads', 'report.csv.enc');
+    const download = await client.downloadFile('/report.csv.enc', target, { decrypt: { keyFile } });
+    assert.equal(download.success, true, download.message);
+    assert.deepEqual(download.decrypted, { type: 'aes-256-gcm' });
+    assert.equal(fs.readFileSync(path.join(dir, 'downloads', 'report.csv'), 'utf8'), report);
+  });
+
+  for (const [part, offset] of [['auth tag', -1], ['ciphertext', 6 + 12]]) {
+    it(`fails with INTEGRITY when the ${part} was tampered with`, async () => {
+      const stored = await uploadEncrypted();
+      stored.content[offset < 0 ? stored.content.length + offset : offset] ^= 0xff;
+
+      const target = path.join(dir, 'downloads', 'report.csv.enc');
+      const download = await client.downloadFile('/report.csv.enc', target, { decrypt: { keyFile } });
+      assert.equal(download.success, false);
+      assert.equal(download.errorType, 'INTEGRITY');
+      assert.equal(download.error.algorithm, 'aes-256-gcm');
+      assert.equal(fs.existsSync(path.join(dir, 'downloads', 'report.csv')), false);
+      assert.ok(fs.existsSync(target));
+    });
+  }
+
+  it('fails with INTEGRITY for the wrong key', async () => {
+    await uploadEncrypted();
+    fs.writeFileSync(path.join(dir, 'other.key'), crypto.randomBytes(32));
+
+    const download = await client.downloadFile('/report.csv.enc', path.join(dir, 'downloads', 'report.csv.enc'), {
+      decrypt: { keyFile: path.join(dir, 'other.key') }
+    });
+    assert.equal(download.errorType, 'INTEGRITY');
+  });
+
+  it('encrypts to a PGP key and decrypts with the private key', { skip: !openpgp && 'openpgp is not installed' }, async () => {
+    const { privateKey, publicKey } = await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519',
+      userIDs: [{ name: 'Partner' }],
+      passphrase: 'secret'
+    });
+    fs.writeFileSync(path.join(dir, 'partner.asc'), publicKey);
+    fs.writeFileSync(path.join(dir, 'partner.key'), privateKey);
+
+    const upload = await client.uploadFile(path.join(dir, 'report.csv'), '/', { encrypt: { publicKeyFile: path.join(dir, 'partner.asc') } });
+    assert.equal(upload.success, true, upload.message);
+
+    const download = await client.downloadFile('/report.csv.pgp', path.join(dir, 'downloads', 'report.csv.pgp'), {
+      decrypt: { privateKeyFile: path.join(dir, 'partner.key'), passphrase: 'secret' }
+    });
+    assert.equal(download.success, true, download.message);
+    assert.equal(fs.readFileSync(path.join(dir, 'downloads', 'report.csv'), 'utf8'), report);
+  });
+
+  it('asks for the openpgp package when PGP is used without it', async () => {
+    // A copy of the module outside the project, where openpgp can't be resolved
+    const isolated = fs.mkdtempSync(path.join(os.tmpdir(), 'mft-nopgp-'));
+    const lib = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'lib');
+    try {
+      for (const name of ['encryption.js', 'errors.js']) fs.copyFileSync(path.join(lib, name), path.join(isolated, name));
+      fs.writeFileSync(path.join(isolated, 'package.json'), '{"type": "module"}');
+      const { encryptStream } = await import(pathToFileURL(path.join(isolated, 'encryption.js')));
+
+      await assert.rejects(encryptStream(Readable.from([report]), { type: 'pgp', armoredKey: 'key' }), {
+        code: 'REQUEST',
+        message: /needs the openpgp package \(npm install openpgp\)/
+      });
+    } finally {
+      fs.rmSync(isolated, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { SERVER_TYPES, startServer, createClient, localFiles, received, operationName } from './helpers.js';
+
+for (const type of SERVER_TYPES) {
+  describe(`ActiveTransferClient faults (${type})`, () => {
+    const list = operationName(type, 'list');
+    const upload = operationName(type, 'upload');
+    let server;
+    let client;
+    let local;
+
+    before(async () => {
+      server = await startServer();
+      client = createClient(server, type);
+      local = localFiles({ 'data.bin': Buffer.alloc(256 * 1024, 1) });
+      assert.equal((await client.uploadFile(path.join(local, 'data.bin'), '/')).success, true);
+    });
+
+    after(async () => {
+      await server.stop();
+      fs.rmSync(local, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      server.clearFaults();
+      server.requests = [];
+    });
+
+    it('retries a 500 and succeeds', async () => {
+      server.injectFault({ operation: list, status: 500 });
+
+      const listing = await client.listFiles('/');
+      assert.equal(listing.success, true, listing.message);
+      assert.equal(received(server, list).length, 2);
+    });
+
+    it('gives up with SERVER after maxAttempts', async () => {
+      server.injectFault({ operation: list, status: 503, times: 10 });
+
+      const listing = await client.listFiles('/');
+      assert.equal(listing.success, false);
+      assert.equal(listing.errorType, 'SERVER');
+      assert.equal(listing.status, 503);
+      assert.equal(received(server, list).length, 3);
+    });
+
+    it('does not retry a 404', async () => {
+      server.injectFault({ operation: list, status: 404 });
+
+      const listing = await client.listFiles('/');
+      assert.equal(listing.errorType, 'NOT_FOUND');
+      assert.equal(received(server, list).length, 1);
+    });
+
+    it('waits for a slow response within the timeout', async () => {
+      server.injectFault({ operation: list, delayMs: 200 });
+
+      const listing = await client.listFiles('/');
+      assert.equal(listing.success, true, listing.message);
+    });
+
+    it('retries an upload that times out', async () => {
+      // Upload timeouts are estimated from the file size, at least 5 minutes; shorten them here
+      const impatient = createClient(server, type);
+      impatient.transferTimeout = () => 200;
+      server.injectFault({ operation: upload, stall: true });
+
+      const result = await impatient.uploadFile(path.join(local, 'data.bin'), '/', { signal: new AbortController().signal });
+      assert.equal(result.success, true, result.message);
+      assert.equal(received(server, upload).length, 2);
+    });
+
+    it('fails with TIMEOUT when every attempt times out', async () => {
+      const impatient = createClient(server, type);
+      impatient.transferTimeout = () => 200;
+      server.injectFault({ operation: upload, stall: true, times: 3 });
+
+      const result = await impatient.uploadFile(path.join(local, 'data.bin'), '/', { signal: new AbortController().signal });
+      assert.equal(result.success, false);
+      assert.equal(result.errorType, 'TIMEOUT');
+      assert.equal(received(server, upload).length, 3);
+    });
+
+    it('retries an upload after a dropped connection', async () => {
+      server.injectFault({ operation: upload, drop: true });
+
+      const result = await client.uploadFile(path.join(local, 'data.bin'), '/');
+      assert.equal(result.success, true, result.message);
+      assert.equal(received(server, upload).length, 2);
+    });
+
+    it('resumes a download after the connection drops midway', async () => {
+      server.injectFault({ operation: 'download', drop: true, afterBytes: 100 * 1024 });
+      const target = path.join(local, 'copy.bin');
+
+      const download = await client.downloadFile('/data.bin', target);
+      assert.equal(download.success, true, download.message);
+      assert.deepEqual(fs.readFileSync(target), fs.readFileSync(path.join(local, 'data.bin')));
+
+      const attempts = received(server, 'download');
+      assert.equal(attempts.length, 2);
+      assert.match(attempts[1].range, /^bytes=\d+-$/);
+      assert.ok(Number(/\d+/.exec(attempts[1].range)[0]) > 0);
+    });
+
+    it('fails with AUTH for wrong credentials without retrying', async () => {
+      const intruder = createClient(server, type, { auth: { password: 'wrong' } });
+
+      const listing = await intruder.listFiles('/');
+      assert.equal(listing.success, false);
+      assert.equal(listing.errorType, 'AUTH');
+      assert.equal(received(server).length, 1);
+    });
+
+    if (type === 'saas') {
+      it('logs in again when the session expires', async () => {
+        server.injectFault({ operation: list, expireSession: true });
+
+        const listing = await client.listFiles('/');
+        assert.equal(listing.success, true, listing.message);
+        assert.deepEqual(received(server).map((request) => request.operation), [list, 'login', list]);
+      });
+
+      it('logs in again when an upload hits an expired session', async () => {
+        server.expireSessions();
+
+        const result = await client.uploadFile(path.join(local, 'data.bin'), '/');
+        assert.equal(result.success, true, result.message);
+        assert.deepEqual(received(server).map((request) => request.operation), [upload, 'login', upload]);
+      });
+
+      it('fails with INTEGRITY when the server writes parts over the file', async () => {
+        fs.writeFileSync(path.join(local, 'parts.bin'), '0123456789');
+        server.injectFault({ operation: upload, ignoreOffset: true, times: 3 });
+
+        const result = await client.uploadFileChunked(path.join(local, 'parts.bin'), '/', { chunkSize: 4 });
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, 'INTEGRITY');
+        assert.equal(result.error.algorithm, 'size');
+        assert.equal(result.error.expected, 10);
+        assert.equal(result.error.actual, 2);
+        assert.equal(received(server, upload).length, 3);
+      });
+    }
+  });
+}
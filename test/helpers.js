@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ActiveTransferClient from '../client.js';
+import MockActiveTransferServer from '../lib/mock-server.js';
+
+export const SERVER_TYPES = ['onprem', 'saas'];
+
+/**
+ * Start a mock server over a fresh temp folder
+ */
+export async function startServer(options = {}) {
+  const server = new MockActiveTransferServer(options);
+  await server.start();
+  return server;
+}
+
+/**
+ * Client for a mock server, with short retry delays so faults don't slow the suite
+ * @param {MockActiveTransferServer} server - Running mock server
+ * @param {string} type - "onprem" or "saas"
+ * @param {Object} options - auth (merged into config.auth), and client options
+ */
+export function createClient(server, type, options = {}) {
+  const { auth, ...clientOptions } = options;
+  const config = server.clientConfig(type);
+
+  return new ActiveTransferClient({
+    ...config,
+    auth: { ...config.auth, ...auth }
+  }, {
+    retry: { baseDelayMs: 5, maxDelayMs: 20 },
+    ...clientOptions
+  });
+}
+
+/**
+ * Temp folder with a few local files for uploads
+ * @param {Object} files - name -> content
+ * @returns {string} Folder path
+ */
+export function localFiles(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mft-test-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+/**
+ * Operations the server received, optionally only one kind
+ */
+export function received(server, operation) {
+  return server.requests.filter((request) => !operation || request.operation === operation);
+}
+
+/**
+ * The same operation is named differently by the two server flavours
+ */
+export function operationName(type, operation) {
+  const saas = { upload: 'STOR', list: 'getXMLListing', createFolder: 'makedir', isFile: 'stat' };
+  return type === 'saas' ? saas[operation] || operation : operation;
+}
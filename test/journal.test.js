@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import TransferJournal, { createJournal, DEFAULT_JOURNAL_FILE } from '../lib/journal.js';
+import { startServer, createClient, localFiles } from './helpers.js';
+
+describe('transfer journal', { timeout: 10000 }, () => {
+  let server;
+  let client;
+  let dir;
+  let journal;
+
+  before(async () => {
+    server = await startServer();
+    fs.mkdirSync(path.join(server.root, 'uploads'));
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    dir = localFiles({ 'report.csv': 'a,b\n1,2\n' });
+    journal = new TransferJournal(path.join(dir, 'journal', 'transfers.jsonl'));
+    client = createClient(server, 'onprem', { journal: journal });
+  });
+
+  it('records an upload with its size, checksum and outcome', async () => {
+    const result = await client.uploadFile(path.join(dir, 'report.csv'), '/uploads', { checksum: 'sha256' });
+    assert.equal(result.success, true);
+
+    const [record] = await journal.query();
+    assert.equal(record.operation, 'upload');
+    assert.equal(record.environment, 'mock-onprem');
+    assert.equal(record.user, 'mock');
+    assert.equal(record.localPath, path.join(dir, 'report.csv'));
+    assert.equal(record.remotePath, '/uploads/report.csv');
+    assert.equal(record.size, 8);
+    assert.equal(record.checksum.algorithm, 'sha256');
+    assert.equal(record.checksum.value, result.checksum.value);
+    assert.equal(record.status, 'success');
+    assert.equal(record.error, null);
+    assert.ok(record.durationMs >= 0);
+  });
+
+  it('records downloads, renames, deletes and failures', async () => {
+    await client.uploadFile(path.join(dir, 'report.csv'), '/uploads');
+    await client.downloadFile('/uploads/report.csv', path.join(dir, 'copy.csv'));
+    await client.rename('/uploads/report.csv', '/uploads/old.csv');
+    await client.delete('/uploads/old.csv');
+    await client.delete('/uploads/old.csv');
+
+    const records = await journal.query();
+    assert.deepEqual(records.map((record) => [record.operation, record.status]), [
+      ['delete', 'failed'],
+      ['delete', 'success'],
+      ['rename', 'success'],
+      ['download', 'success'],
+      ['upload', 'success']
+    ]);
+    assert.equal(records[0].error.type, 'NOT_FOUND');
+    assert.equal(records[2].newPath, '/uploads/old.csv');
+    assert.equal(records[3].size, 8);
+  });
+
+  it('records an archive upload under the archive name', async () => {
+    const result = await client.uploadArchive(path.join(dir, 'report.csv'), '/uploads', { format: 'gzip' });
+    assert.equal(result.success, true, result.message);
+
+    const [record] = await journal.query();
+    assert.equal(record.operation, 'upload');
+    assert.equal(record.localPath, path.join(dir, 'report.csv'));
+    assert.equal(record.remotePath, '/uploads/report.csv.gz');
+    assert.equal(record.checksum.value, result.checksum.value);
+    assert.equal(record.status, 'success');
+  });
+
+  it('filters by date, environment and status', async () => {
+    const record = (timestamp, environment, status) => ({ timestamp, operation: 'upload', environment, status });
+    journal.append(record('2026-01-01T10:00:00.000Z', 'prod', 'success'));
+    journal.append(record('2026-01-02T10:00:00.000Z', 'test', 'failed'));
+    journal.append(record('2026-01-03T10:00:00.000Z', 'prod', 'failed'));
+    fs.appendFileSync(journal.file, '{"timestamp": "2026-01-04T\n');
+
+    assert.equal((await journal.query()).length, 3);
+    assert.deepEqual((await journal.query({ environment: 'prod' })).map((r) => r.timestamp.slice(0, 10)), ['2026-01-03', '2026-01-01']);
+    assert.equal((await journal.query({ status: 'failed', since: '2026-01-02T12:00:00Z' })).length, 1);
+    assert.equal((await journal.query({ until: new Date('2026-01-02T00:00:00Z') })).length, 1);
+    assert.equal((await journal.query({ limit: 2 }))[1].environment, 'test');
+
+    const history = await client.history({ environment: ['prod', 'test'], status: 'failed' });
+    assert.equal(history.success, true);
+    assert.equal(history.data.length, 2);
+
+    const invalid = await client.history({ since: 'last tuesday' });
+    assert.equal(invalid.success, false);
+    assert.equal(invalid.errorType, 'REQUEST');
+  });
+
+  it('is off unless a client or config turns it on', async () => {
+    const quiet = createClient(server, 'onprem');
+    assert.equal(quiet.journal, null);
+    assert.equal((await quiet.uploadFile(path.join(dir, 'report.csv'), '/uploads')).success, true);
+
+    const history = await quiet.history();
+    assert.equal(history.success, false);
+    assert.match(history.message, /turned off/);
+
+    assert.equal(createJournal(true).file, DEFAULT_JOURNAL_FILE);
+    assert.equal(createJournal(path.join(dir, 'audit.jsonl')).file, path.join(dir, 'audit.jsonl'));
+    assert.equal(createClient(server, 'onprem', { journal: false }).journal, null);
+  });
+
+  it('keeps transferring when the journal cannot be written', async () => {
+    fs.writeFileSync(path.join(dir, 'journal'), 'not a folder');
+
+    const result = await client.uploadFile(path.join(dir, 'report.csv'), '/uploads');
+    assert.equal(result.success, true);
+  });
+});
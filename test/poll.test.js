@@ -0,0 +1,127 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { startServer, createClient, localFiles, received } from './helpers.js';
+
+const FAST = { interval: 30 };
+
+describe('ActiveTransferClient.poll()', { timeout: 10000 }, () => {
+  let server;
+  let client;
+  let inbox;
+  let poller;
+
+  before(async () => {
+    server = await startServer();
+    client = createClient(server, 'onprem');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    fs.rmSync(path.join(server.root, 'inbox'), { recursive: true, force: true });
+    fs.rmSync(path.join(server.root, 'archive'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(server.root, 'inbox'));
+    inbox = localFiles();
+    server.requests = [];
+  });
+
+  afterEach(async () => {
+    await poller?.stop();
+    poller = null;
+    fs.rmSync(inbox, { recursive: true, force: true });
+  });
+
+  function drop(name, content) {
+    fs.writeFileSync(path.join(server.root, 'inbox', name), content);
+  }
+
+  it('downloads new files matching the pattern and deletes them', async () => {
+    drop('order-1.xml', '<order id="1"/>');
+    drop('readme.txt', 'not for us');
+
+    poller = client.poll('/inbox', inbox, { ...FAST, pattern: '*.xml', deleteAfterDownload: true });
+    const [file] = await once(poller, 'processed');
+
+    assert.equal(file.remotePath, '/inbox/order-1.xml');
+    assert.equal(file.deleted, true);
+    assert.equal(fs.readFileSync(path.join(inbox, 'order-1.xml'), 'utf8'), '<order id="1"/>');
+    assert.equal(fs.existsSync(path.join(server.root, 'inbox', 'order-1.xml')), false);
+    assert.ok(fs.existsSync(path.join(server.root, 'inbox', 'readme.txt')));
+    assert.equal(fs.existsSync(path.join(inbox, 'readme.txt')), false);
+  });
+
+  it('moves downloaded files into the archive folder', async () => {
+    fs.mkdirSync(path.join(server.root, 'archive'));
+    fs.writeFileSync(path.join(server.root, 'archive', 'daily.csv'), 'yesterday');
+    drop('daily.csv', 'today');
+
+    poller = client.poll('/inbox', inbox, { ...FAST, archiveTo: '/archive' });
+    const [file] = await once(poller, 'processed');
+
+    assert.equal(file.archivedTo, '/archive/daily-1.csv');
+    assert.equal(fs.readFileSync(path.join(server.root, 'archive', 'daily-1.csv'), 'utf8'), 'today');
+    assert.equal(fs.readFileSync(path.join(server.root, 'archive', 'daily.csv'), 'utf8'), 'yesterday');
+  });
+
+  it('processes a file left on the server only once, across restarts', async () => {
+    drop('keep.csv', 'keep');
+
+    poller = client.poll('/inbox', inbox, FAST);
+    await once(poller, 'processed');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await poller.stop();
+
+    poller = client.poll('/inbox', inbox, FAST);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.equal(received(server, 'download').length, 1);
+    assert.deepEqual(fs.readdirSync(inbox).filter((name) => !name.startsWith('.')), ['keep.csv']);
+  });
+
+  it('fetches a file again once it changes on the server', async () => {
+    drop('rates.csv', 'v1');
+    poller = client.poll('/inbox', inbox, FAST);
+    await once(poller, 'processed');
+
+    drop('rates.csv', 'version 2');
+    const [file] = await once(poller, 'processed');
+
+    assert.equal(file.localPath, path.join(inbox, 'rates-1.csv'));
+    assert.equal(fs.readFileSync(file.localPath, 'utf8'), 'version 2');
+  });
+
+  it('retries only the delete after it fails', async () => {
+    drop('once.csv', 'once');
+    server.injectFault({ operation: 'delete', status: 403 });
+
+    poller = client.poll('/inbox', inbox, { ...FAST, deleteAfterDownload: true });
+    const [failed] = await once(poller, 'failed');
+    assert.equal(failed.stage, 'delete');
+
+    const [file] = await once(poller, 'processed');
+    assert.equal(file.deleted, true);
+    assert.equal(received(server, 'download').length, 1);
+    assert.equal(fs.existsSync(path.join(server.root, 'inbox', 'once.csv')), false);
+  });
+
+  it('keeps polling after the server fails', async () => {
+    server.injectFault({ operation: 'list', status: 404 });
+    drop('late.csv', 'late');
+
+    poller = client.poll('/inbox', inbox, FAST);
+    const [error] = await once(poller, 'error');
+    assert.equal(error.code, 'NOT_FOUND');
+
+    const [file] = await once(poller, 'processed');
+    assert.equal(file.name, 'late.csv');
+  });
+
+  it('refuses deleteAfterDownload together with archiveTo', () => {
+    assert.throws(() => client.poll('/inbox', inbox, { deleteAfterDownload: true, archiveTo: '/archive' }), /either/);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs';
+import path from 'path';
+import StateStore from '../lib/state-store.js';
+import { startServer, createClient, localFiles, received } from './helpers.js';
+
+const FAST = { interval: 20, stableMs: 60 };
+
+describe('ActiveTransferClient.watch()', { timeout: 10000 }, () => {
+  let server;
+  let client;
+  let outbox;
+  let watcher;
+
+  before(async () => {
+    server = await startServer();
+    client = createClient(server, 'onprem');
+    fs.mkdirSync(path.join(server.root, 'uploads'));
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  afterEach(async () => {
+    await watcher?.stop();
+    watcher = null;
+    fs.rmSync(outbox, { recursive: true, force: true });
+    server.requests = [];
+  });
+
+  it('uploads a dropped file and moves it to sent/', async () => {
+    outbox = localFiles();
+    watcher = client.watch(outbox, '/uploads', FAST);
+    fs.writeFileSync(path.join(outbox, 'order.xml'), '<order/>');
+
+    const [file] = await once(watcher, 'sent');
+    assert.equal(file.name, 'order.xml');
+    assert.equal(file.remotePath, '/uploads/order.xml');
+    assert.equal(file.localPath, path.join(outbox, 'sent', 'order.xml'));
+    assert.equal(fs.readFileSync(path.join(server.root, 'uploads', 'order.xml'), 'utf8'), '<order/>');
+    assert.equal(fs.existsSync(path.join(outbox, 'order.xml')), false);
+  });
+
+  it('waits until a file stops growing', async () => {
+    outbox = localFiles();
+    watcher = client.watch(outbox, '/uploads', FAST);
+    const target = path.join(outbox, 'growing.log');
+
+    fs.writeFileSync(target, 'line 1\n');
+    await once(watcher, 'detected');
+    for (let i = 2; i <= 4; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      fs.appendFileSync(target, `line ${i}\n`);
+    }
+
+    await once(watcher, 'sent');
+    assert.equal(fs.readFileSync(path.join(server.root, 'uploads', 'growing.log'), 'utf8'), 'line 1\nline 2\nline 3\nline 4\n');
+    assert.equal(received(server, 'upload').length, 1);
+  });
+
+  it('moves a file that fails to upload to failed/', async () => {
+    outbox = localFiles();
+    watcher = client.watch(outbox, '/missing-folder', FAST);
+    fs.writeFileSync(path.join(outbox, 'lost.txt'), 'lost');
+
+    const [file] = await once(watcher, 'failed');
+    assert.equal(file.result.success, false);
+    assert.ok(fs.existsSync(path.join(outbox, 'failed', 'lost.txt')));
+  });
+
+  it('compresses before uploading', async () => {
+    outbox = localFiles();
+    watcher = client.watch(outbox, '/uploads', { ...FAST, compress: 'gzip' });
+    fs.writeFileSync(path.join(outbox, 'big.csv'), 'a,b\n'.repeat(1000));
+
+    const [file] = await once(watcher, 'sent');
+    assert.equal(file.remotePath, '/uploads/big.csv.gz');
+    assert.ok(fs.existsSync(path.join(server.root, 'uploads', 'big.csv.gz')));
+  });
+
+  it('does not send a recorded file again after a restart', async () => {
+    outbox = localFiles({ 'again.txt': 'again' });
+    const stats = fs.statSync(path.join(outbox, 'again.txt'));
+    new StateStore(path.join(outbox, '.mft-watch.json')).set('again.txt', {
+      status: 'sent',
+      size: stats.size,
+      mtimeMs: stats.mtimeMs
+    });
+
+    watcher = client.watch(outbox, '/uploads', FAST);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.ok(fs.existsSync(path.join(outbox, 'sent', 'again.txt')));
+    assert.equal(received(server, 'upload').length, 0);
+  });
+
+  it('keeps earlier files of the same name in sent/', async () => {
+    outbox = localFiles();
+    watcher = client.watch(outbox, '/uploads', FAST);
+
+    fs.writeFileSync(path.join(outbox, 'daily.csv'), 'monday');
+    await once(watcher, 'sent');
+    fs.writeFileSync(path.join(outbox, 'daily.csv'), 'tuesday');
+    const [file] = await once(watcher, 'sent');
+
+    assert.equal(file.localPath, path.join(outbox, 'sent', 'daily-1.csv'));
+    assert.equal(fs.readFileSync(path.join(server.root, 'uploads', 'daily.csv'), 'utf8'), 'tuesday');
+  });
+});